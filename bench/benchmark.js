@@ -0,0 +1,512 @@
+/**
+ * Headless benchmark runner
+ * Imports the game's simulation modules under Node with a stub canvas, runs a
+ * number of simulated seconds at the fixed step for the original and/or the
+ * worker version, and prints a JSON report built from the game's timing buckets
+ *
+ * Usage: node bench/benchmark.js --seconds 30 [--version original|worker|simulation|both|all]
+ *        [--broadphase spatialHash|bruteForce] [--seed 1234] [--replay log.json]
+ *        [--width 1280] [--height 720] [--pace realtime|fast] [--pool on|off]
+ *        [--transport transferable|shared] [--workers 3] [--staleness 50] [--invincible on|off]
+ *        [--shooting on|off] [--draft auto|manual] [--target nearest|weakest|threat|cluster|mouse]
+ *        [--output report.json]
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import { performance } from 'perf_hooks';
+
+import { Broadphase } from '../js/broadphase.js';
+import { DEFAULT_MAX_STALENESS_MS, DispatchScheduler } from '../js/dispatch-scheduler.js';
+import { InputController } from '../js/input.js';
+import { SeededRandom } from '../js/random.js';
+import { TRANSPORT_SHARED, TRANSPORT_TRANSFERABLE } from '../js/shared-transport.js';
+import { createSimulationState, resetStepTimings, updateGame } from '../js/simulation.js';
+import { DEFAULT_TARGETING_MODE, hasTargetingMode } from '../js/targeting.js';
+import { SIMULATION_STEPS_PER_SECOND } from '../js/timestep.js';
+import { CollisionWorkerPool, getDefaultWorkerPoolSize } from '../js/worker-pool.js';
+import { applyCollisionResults, deserializeSnapshot } from '../js/worker-protocol.js';
+
+const BENCH_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_OPTIONS = {
+    seconds: null, // Defaults to the replay's length, or 30 without a replay
+    version: 'both', // 'both' is original and worker, 'all' adds the simulation worker
+    broadphase: 'spatialHash',
+    seed: '1',
+    replay: null,
+    width: 1280,
+    height: 720,
+    pace: 'realtime', // Worker versions only - 'fast' runs ticks back to back
+    pool: 'on', // Worker version only - 'off' allocates a fresh buffer for every message
+    transport: 'transferable', // Worker version only - 'shared' uses SharedArrayBuffer and Atomics
+    workers: null, // Worker version only - collision worker pool size, defaults to every core but one
+    invincible: 'on', // 'off' lets the player die, which ends the run early
+    shooting: 'on', // 'off' stops the player and monsters from firing
+    draft: 'auto', // 'manual' leaves every upgrade draft open - a replay drafts the way it was recorded
+    target: DEFAULT_TARGETING_MODE, // Targeting mode the player starts in - a replay starts in its recorded one
+    staleness: DEFAULT_MAX_STALENESS_MS, // Worker version only - collision staleness budget the dispatch cadence aims for, ms
+    output: null
+};
+
+// Parse --name value pairs into an options object
+function parseOptions(args) {
+    const options = { ...DEFAULT_OPTIONS };
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        if (!(name in DEFAULT_OPTIONS) || i + 1 >= args.length) {
+            throw new Error(`Unknown or incomplete option: ${args[i]}`);
+        }
+        options[name] = args[i + 1];
+    }
+
+    options.seconds = options.seconds === null ? null : Number(options.seconds);
+    options.staleness = Number(options.staleness);
+    options.width = Number(options.width);
+    options.height = Number(options.height);
+    options.workers = options.workers === null ? getDefaultWorkerPoolSize(os.cpus().length) : Number(options.workers);
+    if (!['original', 'worker', 'simulation', 'both', 'all'].includes(options.version)) {
+        throw new Error(`--version must be original, worker, simulation, both or all (got ${options.version})`);
+    }
+    if (!['realtime', 'fast'].includes(options.pace)) {
+        throw new Error(`--pace must be realtime or fast (got ${options.pace})`);
+    }
+    if (!['on', 'off'].includes(options.pool)) {
+        throw new Error(`--pool must be on or off (got ${options.pool})`);
+    }
+    if (!['on', 'off'].includes(options.invincible)) {
+        throw new Error(`--invincible must be on or off (got ${options.invincible})`);
+    }
+    if (!['on', 'off'].includes(options.shooting)) {
+        throw new Error(`--shooting must be on or off (got ${options.shooting})`);
+    }
+    if (!['auto', 'manual'].includes(options.draft)) {
+        throw new Error(`--draft must be auto or manual (got ${options.draft})`);
+    }
+    if (!hasTargetingMode(options.target)) {
+        throw new Error(`--target must be a targeting mode such as nearest, weakest, threat, cluster or mouse (got ${options.target})`);
+    }
+    if (![TRANSPORT_TRANSFERABLE, TRANSPORT_SHARED].includes(options.transport)) {
+        throw new Error(`--transport must be ${TRANSPORT_TRANSFERABLE} or ${TRANSPORT_SHARED} (got ${options.transport})`);
+    }
+    if (!Number.isInteger(options.workers) || options.workers < 1) {
+        throw new Error(`--workers must be a positive integer (got ${options.workers})`);
+    }
+    if (!(options.staleness > 0)) {
+        throw new Error(`--staleness must be a positive number of milliseconds (got ${options.staleness})`);
+    }
+    return options;
+}
+
+// Stand-in for the game canvas - the simulation only reads its size
+function createStubCanvas(options) {
+    return {
+        width: options.width,
+        height: options.height,
+        getContext: () => null
+    };
+}
+
+/**
+ * Build the simulation part of a game state the same way the pages do
+ * @param {string} game - 'original' or 'worker', stored in the input log metadata
+ * @param {Object} options - Parsed benchmark options
+ * @param {Object|null} replayLog - Input log to replay, or null to run without input
+ */
+function createBenchmarkState(game, options, replayLog) {
+    const canvas = createStubCanvas(options);
+    const rng = new SeededRandom(replayLog ? replayLog.seed : SeededRandom.parseSeed(String(options.seed)));
+    const targeting = getInitialTargeting(options, replayLog);
+    const input = new InputController({
+        game: game,
+        seed: rng.seed,
+        targeting: targeting,
+        invincible: isInitialInvincible(options, replayLog),
+        shooting: isInitialShooting(options, replayLog),
+        autoPickUpgrades: isAutoDraft(options, replayLog),
+        stepsPerSecond: SIMULATION_STEPS_PER_SECOND,
+        canvas: { width: canvas.width, height: canvas.height }
+    }, replayLog);
+
+    const state = createSimulationState(canvas, rng, input);
+    state.player.targetingMode = targeting;
+    state.player.invincible = isInitialInvincible(options, replayLog);
+    state.shootingEnabled = isInitialShooting(options, replayLog);
+    state.autoPickUpgrades = isAutoDraft(options, replayLog);
+    return state;
+}
+
+// A replay starts in the targeting mode it was recorded in, like it uses its recorded seed
+function getInitialTargeting(options, replayLog) {
+    return replayLog ? replayLog.targeting : options.target;
+}
+
+// A replay also starts with the invincibility and shooting it was recorded with
+function isInitialInvincible(options, replayLog) {
+    return replayLog ? replayLog.invincible : options.invincible === 'on';
+}
+
+function isInitialShooting(options, replayLog) {
+    return replayLog ? replayLog.shooting : options.shooting === 'on';
+}
+
+// Without input nothing would ever pick from a draft - a replay picks the way it was recorded, by hand or not
+function isAutoDraft(options, replayLog) {
+    return replayLog ? replayLog.autoPickUpgrades : options.draft === 'auto';
+}
+
+/**
+ * Collects one sample per tick for each timing bucket and summarizes them
+ */
+class TimingRecorder {
+    constructor() {
+        this.samples = {};
+    }
+
+    add(name, value) {
+        if (!this.samples[name]) {
+            this.samples[name] = [];
+        }
+        this.samples[name].push(value);
+    }
+
+    // Record every numeric field of a timings object
+    addTimings(timings) {
+        Object.keys(timings).forEach(name => this.add(name, timings[name]));
+    }
+
+    // Mean, median, p95, max and total per bucket, in milliseconds
+    summarize() {
+        const summary = {};
+        Object.keys(this.samples).forEach(name => {
+            const sorted = this.samples[name].slice().sort((a, b) => a - b);
+            const total = sorted.reduce((sum, value) => sum + value, 0);
+            summary[name] = {
+                samples: sorted.length,
+                mean: round(total / sorted.length),
+                p50: round(percentile(sorted, 0.5)),
+                p95: round(percentile(sorted, 0.95)),
+                max: round(sorted[sorted.length - 1]),
+                total: round(total)
+            };
+        });
+        return summary;
+    }
+}
+
+// Nearest-rank percentile of an already sorted array
+function percentile(sorted, fraction) {
+    const index = Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// Final entity counts and score, so runs with different settings can be compared
+function summarizeState(gameState) {
+    return {
+        monsters: gameState.monsters.length,
+        bullets: gameState.bullets.length,
+        score: gameState.player.score,
+        kills: gameState.kills,
+        bosses: gameState.monsterSpawner.bossesSpawned,
+        wave: gameState.monsterSpawner.waves.number,
+        level: gameState.player.level,
+        upgrades: { ...gameState.player.upgrades },
+        gameOver: gameState.isGameOver
+    };
+}
+
+/**
+ * Run the original (main-thread) version for the requested number of ticks
+ * @param {Object} options - Parsed benchmark options
+ * @param {Object|null} replayLog - Input log to replay
+ * @param {number} ticks - Number of fixed steps to simulate
+ * @returns {Object} - Report section for this version
+ */
+function runOriginal(options, replayLog, ticks) {
+    const gameState = {
+        ...createBenchmarkState('original', options, replayLog),
+        broadphase: new Broadphase(options.broadphase),
+        timings: {
+            playerUpdateTime: 0,
+            monsterUpdateTime: 0,
+            bulletUpdateTime: 0,
+            monsterSpawnTime: 0,
+            collisionTime: 0,
+            totalFrameTime: 0
+        }
+    };
+    const stepSize = 1 / SIMULATION_STEPS_PER_SECOND;
+    const recorder = new TimingRecorder();
+
+    const runStartTime = performance.now();
+    let tick = 0;
+    for (; tick < ticks && !gameState.isGameOver; tick++) {
+        const stepStartTime = performance.now();
+
+        resetStepTimings(gameState.timings);
+        updateGame(stepSize, gameState, gameState.input.commandForTick(tick));
+
+        gameState.timings.totalFrameTime = performance.now() - stepStartTime;
+        recorder.addTimings(gameState.timings);
+    }
+
+    return {
+        ticks: tick,
+        wallTime: round(performance.now() - runStartTime),
+        timings: recorder.summarize(),
+        final: summarizeState(gameState)
+    };
+}
+
+/**
+ * Run the worker version, with the real collision worker in a worker_threads thread
+ * Each tick stands in for one page frame: apply results that arrived, step,
+ * maybe dispatch, then yield so the worker's reply can be delivered. Ticks are
+ * paced to wall-clock time by default, because how many steps pass while the
+ * worker is busy decides how often collisions are applied
+ * @param {Object} options - Parsed benchmark options
+ * @param {Object|null} replayLog - Input log to replay
+ * @param {number} ticks - Number of fixed steps to simulate
+ * @returns {Promise<Object>} - Report section for this version
+ */
+async function runWorker(options, replayLog, ticks) {
+    const gameState = {
+        ...createBenchmarkState('worker', options, replayLog),
+        broadphaseMode: options.broadphase,
+        broadphase: new Broadphase(options.broadphase), // Fallback collisions while a worker is restarted
+        droppedWorkerResults: 0,
+        fallbackFrames: 0,
+        dispatchScheduler: new DispatchScheduler(options.staleness),
+        timings: {
+            playerUpdateTime: 0,
+            monsterUpdateTime: 0,
+            bulletUpdateTime: 0,
+            monsterSpawnTime: 0,
+            collisionTime: 0, // Fallback collisions only
+            dataSerializationTime: 0,
+            resultApplyTime: 0,
+            inputPoolHits: 0,
+            inputPoolMisses: 0,
+            resultPoolHits: 0,
+            resultPoolMisses: 0,
+            totalFrameTime: 0
+        }
+    };
+    const stepSize = 1 / SIMULATION_STEPS_PER_SECOND;
+    const recorder = new TimingRecorder();
+    const workerRecorder = new TimingRecorder();
+
+    const { dispatchScheduler } = gameState;
+
+    const workerPool = new CollisionWorkerPool({
+        size: options.workers,
+        transport: options.transport,
+        bufferPool: options.pool === 'on',
+        createWorker: (onMessage, onError) => {
+            const worker = new Worker(path.join(BENCH_DIR, 'collision-worker-host.js'));
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+            worker.on('messageerror', onError);
+            return worker;
+        }
+    });
+
+    const runStartTime = performance.now();
+    let tick = 0;
+    for (; tick < ticks && !gameState.isGameOver; tick++) {
+        const stepStartTime = performance.now();
+        dispatchScheduler.frame(stepStartTime);
+
+        // Apply results that arrived since the last tick, as the page does at frame start
+        gameState.timings.resultApplyTime = 0;
+        gameState.timings.resultPoolHits = 0;
+        gameState.timings.resultPoolMisses = 0;
+        const collected = workerPool.collect();
+        if (collected) {
+            dispatchScheduler.applied(performance.now());
+            workerRecorder.add('processTime', collected.processTime);
+            workerRecorder.add('roundTripTime', performance.now() - dispatchScheduler.lastDispatchTime);
+            workerRecorder.add('staleness', dispatchScheduler.staleness);
+            if (collected.results) {
+                const applyStartTime = performance.now();
+                gameState.droppedWorkerResults += applyCollisionResults(gameState, collected.results);
+                gameState.timings.resultApplyTime = performance.now() - applyStartTime;
+            }
+            gameState.timings.resultPoolHits = collected.resultPoolHits;
+            gameState.timings.resultPoolMisses = collected.resultPoolMisses;
+        }
+
+        resetStepTimings(gameState.timings);
+        // Collisions fall back to this thread until a restarted worker has replied, as on the page
+        const fallback = workerPool.degraded;
+        if (fallback) {
+            gameState.fallbackFrames++;
+        }
+        updateGame(stepSize, gameState, gameState.input.commandForTick(tick), fallback);
+
+        // Dispatch on the same schedule as sendCollisionDataToWorker
+        gameState.timings.dataSerializationTime = 0;
+        if (dispatchScheduler.shouldDispatch(performance.now(), workerPool.busy)) {
+            const serializationStartTime = performance.now();
+            workerPool.dispatch(gameState, gameState.broadphaseMode);
+            gameState.timings.dataSerializationTime = performance.now() - serializationStartTime;
+            dispatchScheduler.dispatched(serializationStartTime);
+            workerRecorder.add('dispatchCadence', dispatchScheduler.cadence);
+        }
+        const poolStats = workerPool.takeInputPoolStats();
+        gameState.timings.inputPoolHits = poolStats.hits;
+        gameState.timings.inputPoolMisses = poolStats.misses;
+
+        gameState.timings.totalFrameTime = performance.now() - stepStartTime;
+        recorder.addTimings(gameState.timings);
+
+        // Let the worker's reply be delivered before the next tick
+        const nextTickTime = runStartTime + (tick + 1) * stepSize * 1000;
+        const waitTime = options.pace === 'realtime' ? nextTickTime - performance.now() : 0;
+        await new Promise(resolve => waitTime > 0 ? setTimeout(resolve, waitTime) : setImmediate(resolve));
+    }
+
+    const wallTime = performance.now() - runStartTime;
+    await Promise.all(workerPool.terminate());
+
+    return {
+        ticks: tick,
+        wallTime: round(wallTime),
+        timings: recorder.summarize(),
+        worker: workerRecorder.summarize(),
+        droppedWorkerResults: gameState.droppedWorkerResults,
+        workerRestarts: workerPool.restarts,
+        fallbackFrames: gameState.fallbackFrames,
+        final: summarizeState(gameState)
+    };
+}
+
+/**
+ * Run the simulation worker version: the whole simulation runs in the real
+ * simulation worker (js/simulation-worker-thread.js) on its own clock, and
+ * this thread only decodes the snapshots it posts, as the page does before drawing
+ * @param {Object} options - Parsed benchmark options
+ * @param {Object|null} replayLog - Input log to replay
+ * @param {number} ticks - Number of fixed steps to simulate
+ * @returns {Promise<Object>} - Report section for this version
+ */
+async function runSimulationWorker(options, replayLog, ticks) {
+    const seed = replayLog ? replayLog.seed : SeededRandom.parseSeed(String(options.seed));
+    const recorder = new TimingRecorder(); // Main thread, per snapshot
+    const workerRecorder = new TimingRecorder(); // Simulation worker, summed per snapshot
+
+    const worker = new Worker(path.join(BENCH_DIR, 'collision-worker-host.js'), {
+        workerData: { module: 'simulation-worker-thread.js' }
+    });
+
+    const runStartTime = performance.now();
+    const finished = new Promise((resolve, reject) => {
+        worker.on('message', (message) => {
+            if (message.type === 'snapshot') {
+                const decodeStartTime = performance.now();
+                const snapshot = deserializeSnapshot(message.buffer);
+                recorder.add('snapshotDecodeTime', performance.now() - decodeStartTime);
+                worker.postMessage({ type: 'snapshotReturned', buffer: message.buffer }, [message.buffer]);
+
+                ['stepTime', 'playerUpdateTime', 'monsterUpdateTime', 'bulletUpdateTime', 'monsterSpawnTime', 'collisionTime',
+                    'simulationSteps'].forEach(name => workerRecorder.add(name, snapshot[name]));
+            } else if (message.type === 'finished') {
+                resolve(message);
+            } else if (message.type === 'error') {
+                console.error(`Worker error (${message.code}):`, message.error);
+            }
+        });
+        worker.on('error', reject);
+    });
+
+    worker.postMessage({
+        type: 'start',
+        seed: seed,
+        canvas: { width: options.width, height: options.height },
+        replayLog: replayLog,
+        broadphase: options.broadphase,
+        invincible: isInitialInvincible(options, replayLog),
+        shooting: isInitialShooting(options, replayLog),
+        autoPickUpgrades: isAutoDraft(options, replayLog),
+        targeting: getInitialTargeting(options, replayLog),
+        pace: options.pace,
+        stopAtTick: ticks
+    });
+
+    const result = await finished;
+    const wallTime = performance.now() - runStartTime;
+    await worker.terminate();
+
+    return {
+        ticks: result.ticks,
+        wallTime: round(wallTime),
+        timings: recorder.summarize(),
+        worker: workerRecorder.summarize(),
+        final: result.final
+    };
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const replayLog = options.replay ? JSON.parse(fs.readFileSync(options.replay, 'utf8')) : null;
+
+    // A replay keeps its recorded canvas size so spawns land in the same places
+    if (replayLog) {
+        options.width = replayLog.canvas.width;
+        options.height = replayLog.canvas.height;
+    }
+
+    const stepsPerSecond = replayLog ? replayLog.stepsPerSecond : SIMULATION_STEPS_PER_SECOND;
+    if (options.seconds === null) {
+        options.seconds = replayLog ? replayLog.ticks / stepsPerSecond : 30;
+    }
+    const ticks = Math.round(options.seconds * stepsPerSecond);
+
+    const report = {
+        seconds: options.seconds,
+        ticks: ticks,
+        seed: replayLog ? replayLog.seed : options.seed,
+        replay: options.replay,
+        broadphase: options.broadphase,
+        bufferPool: options.pool,
+        invincible: isInitialInvincible(options, replayLog) ? 'on' : 'off',
+        shooting: isInitialShooting(options, replayLog) ? 'on' : 'off',
+        draft: isAutoDraft(options, replayLog) ? 'auto' : 'manual',
+        targeting: getInitialTargeting(options, replayLog),
+        transport: options.transport,
+        workers: options.workers,
+        maxStaleness: options.staleness,
+        canvas: { width: options.width, height: options.height },
+        node: process.version,
+        versions: {}
+    };
+
+    if (options.version === 'original' || options.version === 'both' || options.version === 'all') {
+        report.versions.original = runOriginal(options, replayLog, ticks);
+    }
+    if (options.version === 'worker' || options.version === 'both' || options.version === 'all') {
+        report.versions.worker = await runWorker(options, replayLog, ticks);
+    }
+    if (options.version === 'simulation' || options.version === 'all') {
+        report.versions.simulation = await runSimulationWorker(options, replayLog, ticks);
+    }
+
+    const json = JSON.stringify(report, null, 2);
+    if (options.output) {
+        fs.writeFileSync(options.output, json + '\n');
+    } else {
+        console.log(json);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,17 @@
+/**
+ * Hosts a browser worker module (js/game-worker-thread.js by default, or the
+ * one named by workerData.module) in a Node worker_threads thread, providing
+ * the Web Worker globals it relies on
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+
+// Web Worker globals used by the worker modules
+globalThis.self = globalThis;
+globalThis.postMessage = (message, transfer) => parentPort.postMessage(message, transfer);
+
+// Imported dynamically so the globals above exist before the worker's module body runs
+await import(`../js/${(workerData && workerData.module) || 'game-worker-thread.js'}`);
+
+// Deliver messages the way a browser worker receives them
+parentPort.on('message', (data) => self.onmessage({ data }));
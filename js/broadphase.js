@@ -0,0 +1,263 @@
+/**
+ * Collision broadphase - finds candidate pairs before the exact circle test
+ * Shared by the main-thread collision code and the collision worker
+ */
+
+// Available broadphase modes
+export const BROADPHASE_SPATIAL_HASH = 'spatialHash';
+export const BROADPHASE_BRUTE_FORCE = 'bruteForce';
+
+// Entities with a larger radius (bosses) are left out of cell sizing and span several cells instead
+export const LARGE_ENTITY_RADIUS = 48;
+
+/**
+ * Uniform grid spatial hash
+ * Entities are inserted into every cell their bounding box touches, so
+ * entities larger than a cell are still found by their neighbours
+ */
+export class SpatialHash {
+    constructor(cellSize = 64) {
+        this.minCellSize = 16; // Never shrink cells below this size
+        this.setCellSize(cellSize);
+
+        // Cell key -> array of slots
+        this.cells = new Map();
+        this.activeKeys = [];
+
+        // Per-slot data, slots are assigned in insertion order
+        this.entities = [];
+        this.minCellX = [];
+        this.minCellY = [];
+
+        // Query de-duplication without allocating a Set per query
+        this.queryStamp = 0;
+        this.slotStamps = [];
+        this.querySlots = [];
+    }
+
+    setCellSize(cellSize) {
+        this.cellSize = Math.max(this.minCellSize, cellSize);
+        this.inverseCellSize = 1 / this.cellSize;
+    }
+
+    // Empty the grid but keep the cell arrays around for the next frame
+    clear() {
+        for (let i = 0; i < this.activeKeys.length; i++) {
+            this.cells.get(this.activeKeys[i]).length = 0;
+        }
+        this.activeKeys.length = 0;
+        this.entities.length = 0;
+        this.minCellX.length = 0;
+        this.minCellY.length = 0;
+    }
+
+    // Rebuild the grid from a list of entities, sizing cells to the largest ordinary radius in play
+    rebuild(entities) {
+        let maxRadius = 0;
+        let maxOrdinaryRadius = 0;
+        for (let i = 0; i < entities.length; i++) {
+            const entity = entities[i];
+            if (entity.isActive === false) continue;
+
+            maxRadius = Math.max(maxRadius, entity.radius);
+            if (entity.radius <= LARGE_ENTITY_RADIUS) {
+                maxOrdinaryRadius = Math.max(maxOrdinaryRadius, entity.radius);
+            }
+        }
+
+        // A cell twice the largest radius means most entities touch at most 4 cells - a boss
+        // covering a dozen cells is cheaper than every cell growing to fit it
+        this.setCellSize((maxOrdinaryRadius || maxRadius) * 2);
+        this.clear();
+
+        for (let i = 0; i < entities.length; i++) {
+            if (entities[i].isActive !== false) {
+                this.insert(entities[i]);
+            }
+        }
+    }
+
+    insert(entity) {
+        const slot = this.entities.length;
+        const minX = Math.floor((entity.x - entity.radius) * this.inverseCellSize);
+        const minY = Math.floor((entity.y - entity.radius) * this.inverseCellSize);
+        const maxX = Math.floor((entity.x + entity.radius) * this.inverseCellSize);
+        const maxY = Math.floor((entity.y + entity.radius) * this.inverseCellSize);
+
+        this.entities.push(entity);
+        this.minCellX.push(minX);
+        this.minCellY.push(minY);
+        this.slotStamps[slot] = 0;
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = cellKey(cx, cy);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                if (cell.length === 0) {
+                    this.activeKeys.push(key);
+                }
+                cell.push(slot);
+            }
+        }
+    }
+
+    /**
+     * Collect entities whose cells overlap a circle
+     * Results are unique and in insertion order, so callers see the same
+     * order a linear scan over the original array would produce
+     * @param {number} x - Circle center x
+     * @param {number} y - Circle center y
+     * @param {number} radius - Circle radius
+     * @param {Array} out - Array to fill with candidate entities
+     * @returns {Array} - The filled out array
+     */
+    query(x, y, radius, out) {
+        out.length = 0;
+        const slots = this.querySlots;
+        slots.length = 0;
+        const stamp = ++this.queryStamp;
+
+        const minX = Math.floor((x - radius) * this.inverseCellSize);
+        const minY = Math.floor((y - radius) * this.inverseCellSize);
+        const maxX = Math.floor((x + radius) * this.inverseCellSize);
+        const maxY = Math.floor((y + radius) * this.inverseCellSize);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(cellKey(cx, cy));
+                if (!cell) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    const slot = cell[i];
+                    if (this.slotStamps[slot] !== stamp) {
+                        this.slotStamps[slot] = stamp;
+                        slots.push(slot);
+                    }
+                }
+            }
+        }
+
+        // Candidates from several cells arrive out of order
+        if (slots.length > 1) {
+            slots.sort(compareSlots);
+        }
+
+        for (let i = 0; i < slots.length; i++) {
+            out.push(this.entities[slots[i]]);
+        }
+        return out;
+    }
+
+    /**
+     * Visit every pair of entities that share at least one cell
+     * A pair that shares several cells is only reported by the cell at the
+     * top-left corner of the overlap of their cell ranges
+     * @param {Function} callback - Called with (entityA, entityB)
+     */
+    forEachPair(callback) {
+        for (let k = 0; k < this.activeKeys.length; k++) {
+            const key = this.activeKeys[k];
+            const cell = this.cells.get(key);
+            if (cell.length < 2) continue;
+
+            const cx = cellKeyX(key);
+            const cy = cellKeyY(key);
+
+            for (let i = 0; i < cell.length; i++) {
+                const a = cell[i];
+                for (let j = i + 1; j < cell.length; j++) {
+                    const b = cell[j];
+                    const ownerX = Math.max(this.minCellX[a], this.minCellX[b]);
+                    const ownerY = Math.max(this.minCellY[a], this.minCellY[b]);
+                    if (ownerX !== cx || ownerY !== cy) continue;
+
+                    // Cells are filled in slot order, so a comes before b like in a nested loop
+                    callback(this.entities[a], this.entities[b]);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Broadphase front-end that can run either on the spatial hash or as the
+ * original brute-force scan, which is kept as a reference for benchmarks
+ */
+export class Broadphase {
+    constructor(mode = BROADPHASE_SPATIAL_HASH) {
+        this.setMode(mode);
+        this.spatialHash = new SpatialHash();
+        this.entities = []; // Active entities of the last build, for the brute-force scan
+    }
+
+    setMode(mode) {
+        this.mode = mode === BROADPHASE_BRUTE_FORCE ? BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+    }
+
+    // Index the entities that later queries and pair visits run against - inactive ones are skipped in both modes
+    build(entities) {
+        if (this.mode === BROADPHASE_SPATIAL_HASH) {
+            this.spatialHash.rebuild(entities);
+            return;
+        }
+
+        this.entities.length = 0;
+        for (let i = 0; i < entities.length; i++) {
+            if (entities[i].isActive !== false) {
+                this.entities.push(entities[i]);
+            }
+        }
+    }
+
+    // Candidates that may overlap the given circle, filled into out (brute force returns every indexed entity)
+    query(x, y, radius, out) {
+        if (this.mode === BROADPHASE_SPATIAL_HASH) {
+            return this.spatialHash.query(x, y, radius, out);
+        }
+
+        out.length = 0;
+        for (let i = 0; i < this.entities.length; i++) {
+            out.push(this.entities[i]);
+        }
+        return out;
+    }
+
+    // Visit candidate pairs among the indexed entities
+    forEachPair(callback) {
+        if (this.mode === BROADPHASE_SPATIAL_HASH) {
+            this.spatialHash.forEachPair(callback);
+            return;
+        }
+
+        const entities = this.entities;
+        for (let i = 0; i < entities.length; i++) {
+            for (let j = i + 1; j < entities.length; j++) {
+                callback(entities[i], entities[j]);
+            }
+        }
+    }
+}
+
+// Pack integer cell coordinates into a single numeric Map key
+const CELL_KEY_OFFSET = 32768;
+const CELL_KEY_STRIDE = 65536;
+
+function cellKey(cx, cy) {
+    return (cx + CELL_KEY_OFFSET) * CELL_KEY_STRIDE + (cy + CELL_KEY_OFFSET);
+}
+
+function cellKeyX(key) {
+    return Math.floor(key / CELL_KEY_STRIDE) - CELL_KEY_OFFSET;
+}
+
+function cellKeyY(key) {
+    return (key % CELL_KEY_STRIDE) - CELL_KEY_OFFSET;
+}
+
+function compareSlots(a, b) {
+    return a - b;
+}
@@ -0,0 +1,68 @@
+/**
+ * Pool of ArrayBuffers for worker round-trips
+ * Buffers are transferred to the other thread and handed back with its next
+ * message (ping-pong), so steady-state messaging allocates nothing. A buffer
+ * only grows when the entity count outgrows it
+ */
+
+// Smallest buffer the pool hands out - enough for a few hundred entities
+const MIN_POOL_BUFFER_BYTES = 16 * 1024;
+
+// Free buffers kept around - one in flight and one being filled is all ping-pong needs
+const MAX_FREE_BUFFERS = 2;
+
+export class BufferPool {
+    constructor(enabled = true) {
+        this.enabled = enabled; // Disabled pools allocate every time, for comparison
+        this.freeBuffers = [];
+        this.hits = 0; // Requests served from a returned buffer
+        this.misses = 0; // Requests that had to allocate
+    }
+
+    /**
+     * Get a buffer of at least byteLength bytes
+     * @param {number} byteLength - Bytes the caller is about to write
+     * @returns {ArrayBuffer} - A reused buffer when one is large enough, otherwise a new one
+     */
+    acquire(byteLength) {
+        if (!this.enabled) {
+            this.misses++;
+            return new ArrayBuffer(byteLength);
+        }
+
+        // Drop free buffers that are too small - entity counts only outgrow them
+        while (this.freeBuffers.length > 0) {
+            const buffer = this.freeBuffers.pop();
+            if (buffer.byteLength >= byteLength) {
+                this.hits++;
+                return buffer;
+            }
+        }
+
+        // Round up so small growth in entity count does not allocate again
+        this.misses++;
+        return new ArrayBuffer(nextPowerOfTwo(Math.max(byteLength, MIN_POOL_BUFFER_BYTES)));
+    }
+
+    // Return a buffer that came back from the other thread
+    release(buffer) {
+        // Detached (transferred away) or unpooled buffers are not worth keeping
+        if (!this.enabled || !buffer || buffer.byteLength === 0) return;
+
+        if (this.freeBuffers.length < MAX_FREE_BUFFERS) {
+            this.freeBuffers.push(buffer);
+        }
+    }
+
+    // Read and zero the hit/miss counters, for per-frame timing stats
+    takeStats() {
+        const stats = { hits: this.hits, misses: this.misses };
+        this.hits = 0;
+        this.misses = 0;
+        return stats;
+    }
+}
+
+function nextPowerOfTwo(value) {
+    return 2 ** Math.ceil(Math.log2(value));
+}
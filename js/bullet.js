@@ -1,15 +1,39 @@
 /**
  * Bullet class for both player and monster bullets
  */
-class Bullet {
+
+import { nextEntityId } from './entity-id.js';
+import { lerp } from './timestep.js';
+
+// Every bullet color, so threads that only exchange numbers can send a color as its index
+// Weapons pick their colors from here too - add new ones at the end so existing indices keep their meaning
+export const BULLET_COLORS = [
+    '#00FFFF', '#00AAFF', '#0088FF', '#0044FF', '#0000FF', '#FF4444', '#FFFF66',
+    '#FFDD00', '#FF8844', '#FF00FF', 'rgba(255, 136, 255, 0.35)', '#AAFF44'
+];
+
+// Orbiting projectiles (the orbitals weapon)
+const ORB_RADIUS = 8;
+const ORB_DAMAGE = 40;
+const ORB_COLOR = '#FFFF66';
+export const ORB_DISTANCE = 70; // From the player's center
+
+// Distance within which a returning boomerang is caught by its owner
+const BOOMERANG_CATCH_DISTANCE = 20;
+
+export class Bullet {
     constructor(x, y, angle, speed, damage, radius, color, isPlayerBullet, pierceCount = 0, gameCanvas = null) {
+        this.id = nextEntityId(); // Stable ID used to match worker results
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for interpolation
+        this.prevY = y;
         this.angle = angle;
         this.speed = speed;
         this.damage = damage;
         this.radius = radius;
         this.color = color;
+        this.colorIndex = Math.max(0, BULLET_COLORS.indexOf(color));
         this.isPlayerBullet = isPlayerBullet;
         this.isActive = true;
         this.gameCanvas = gameCanvas; // Store reference to the canvas
@@ -17,13 +41,32 @@ class Bullet {
         // Piercing properties
         this.maxPierceCount = pierceCount; // Maximum number of enemies this bullet can pierce
         this.currentPierceCount = 0; // Current number of enemies pierced
+        this.hitMonsterIds = new Set(); // Monsters already hit - a piercing bullet still overlapping one next step hits it only once
+        this.leg = 0; // Bumped whenever hitMonsterIds is cleared, so worker hits from before are dropped
+
+        // Weapon properties - weapons set these after creating the bullet
+        this.lifetime = Infinity; // Seconds until the bullet expires on its own
+        this.length = 0; // A beam is a segment this long from (x, y) along angle, a circle of radius around every point on it
+        this.hitsOnce = false; // Hits whatever it touches in one collision pass, then is spent until it expires (beams, novas)
 
         // Calculate velocity based on angle
-        this.vx = Math.cos(angle) * speed;
-        this.vy = Math.sin(angle) * speed;
+        this.setAngle(angle);
+    }
+
+    // Point the bullet somewhere else at the same speed
+    setAngle(angle) {
+        this.angle = angle;
+        this.vx = Math.cos(angle) * this.speed;
+        this.vy = Math.sin(angle) * this.speed;
     }
 
     update(deltaTime) {
+        this.lifetime -= deltaTime;
+        if (this.lifetime <= 0 && !this.isAwaitingPass()) {
+            this.isActive = false;
+            return;
+        }
+
         // Move the bullet
         this.x += this.vx * deltaTime;
         this.y += this.vy * deltaTime;
@@ -44,30 +87,125 @@ class Bullet {
         }
     }
 
-    draw(ctx) {
+    // A single-pass bullet outlives its lifetime until its collision pass, however many steps the worker version takes to run it
+    isAwaitingPass() {
+        return this.hitsOnce && this.currentPierceCount <= this.maxPierceCount;
+    }
+
+    draw(ctx, alpha = 1) {
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(lerp(this.prevX, this.x, alpha), lerp(this.prevY, this.y, alpha), this.radius, 0, Math.PI * 2);
         ctx.fill();
     }
 }
 
+/**
+ * Player bullet that circles its owner instead of flying off
+ * The orbit ({ angle, count }, the orbitals weapon) turns the circle, and the
+ * bullet's slot among count sets its place on it. It is spent on its first
+ * hit like any unpierced bullet, and the weapon refills the slot after a recharge
+ */
+export class OrbitingBullet extends Bullet {
+    constructor(owner, orbit, slot, gameCanvas = null) {
+        super(owner.x, owner.y, 0, 0, ORB_DAMAGE, ORB_RADIUS, ORB_COLOR, true, 0, gameCanvas);
+        this.owner = owner;
+        this.orbit = orbit;
+        this.slot = slot;
+        this.placeOnOrbit();
+        this.prevX = this.x;
+        this.prevY = this.y;
+    }
+
+    // Follow the owner round - never leaves the canvas on its own
+    update(deltaTime) {
+        this.placeOnOrbit();
+    }
+
+    placeOnOrbit() {
+        const { owner, orbit } = this;
+        const angle = orbit.angle + (Math.PI * 2 * this.slot) / orbit.count;
+        this.x = owner.x + Math.cos(angle) * ORB_DISTANCE;
+        this.y = owner.y + Math.sin(angle) * ORB_DISTANCE;
+    }
+}
+
+/**
+ * Player bullet that flies out for range pixels, slowing down, then comes
+ * back to its owner and is caught - it pierces everything on the way out
+ * and back, hitting each monster at most once each way, and ignores the
+ * canvas edges
+ */
+export class BoomerangBullet extends Bullet {
+    constructor(owner, angle, speed, damage, radius, color, range, gameCanvas = null) {
+        super(owner.x, owner.y, angle, speed, damage, radius, color, true, Infinity, gameCanvas);
+        this.owner = owner;
+        this.range = range;
+        this.travelled = 0;
+        this.returning = false;
+    }
+
+    update(deltaTime) {
+        if (!this.returning) {
+            // Ease out over the range, never quite stopping
+            const slowdown = Math.max(0.2, 1 - this.travelled / this.range);
+            const step = this.speed * slowdown * deltaTime;
+            this.x += Math.cos(this.angle) * step;
+            this.y += Math.sin(this.angle) * step;
+            this.travelled += step;
+            if (this.travelled >= this.range) {
+                this.returning = true;
+                this.hitMonsterIds.clear(); // The way back may hit each monster once more
+                this.leg++;
+            }
+            return;
+        }
+
+        const dx = this.owner.x - this.x;
+        const dy = this.owner.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const step = this.speed * deltaTime;
+        if (distance <= Math.max(step, BOOMERANG_CATCH_DISTANCE)) {
+            this.isActive = false;
+            return;
+        }
+        this.x += (dx / distance) * step;
+        this.y += (dy / distance) * step;
+    }
+}
+
+// Enhanced bullet properties based on level with higher pierce counts
+const PLAYER_BULLET_TIERS = {
+    1: { speed: 700, damage: 30, radius: 6, color: '#00FFFF', pierce: 10 },
+    2: { speed: 750, damage: 40, radius: 7, color: '#00AAFF', pierce: 15 },
+    3: { speed: 800, damage: 50, radius: 8, color: '#0088FF', pierce: 20 },
+    4: { speed: 850, damage: 60, radius: 9, color: '#0044FF', pierce: 25 },
+    5: { speed: 900, damage: 70, radius: 10, color: '#0000FF', pierce: 30 }
+};
+
 /**
  * Factory for creating different types of player bullets based on level
  */
-class BulletFactory {
-    static createPlayerBullet(x, y, angle, level, gameCanvas = null) {
-        // Enhanced bullet properties based on level with higher pierce counts
-        const bulletProps = {
-            1: { speed: 700, damage: 30, radius: 6, color: '#00FFFF', pierce: 10 },
-            2: { speed: 750, damage: 40, radius: 7, color: '#00AAFF', pierce: 15 },
-            3: { speed: 800, damage: 50, radius: 8, color: '#0088FF', pierce: 20 },
-            4: { speed: 850, damage: 60, radius: 9, color: '#0044FF', pierce: 25 },
-            5: { speed: 900, damage: 70, radius: 10, color: '#0000FF', pierce: 30 }
-        };
-
-        const props = bulletProps[level] || bulletProps[1];
-        return new Bullet(x, y, angle, props.speed, props.damage, props.radius, props.color, true, props.pierce, gameCanvas);
+export class BulletFactory {
+    /**
+     * @param {number} x - Start position
+     * @param {number} y - Start position
+     * @param {number} angle - Direction in radians
+     * @param {number} level - Bullet tier, 1 to 5
+     * @param {Object} gameCanvas - Canvas the bullet expires outside of
+     * @param {number} speedMultiplier - Scales the tier's speed (Bullet Speed upgrade)
+     * @param {number} pierceBonus - Added to the tier's pierce count (Pierce upgrade)
+     * @returns {Bullet} - The bullet
+     */
+    static createPlayerBullet(x, y, angle, level, gameCanvas = null, speedMultiplier = 1, pierceBonus = 0) {
+        const props = PLAYER_BULLET_TIERS[level] || PLAYER_BULLET_TIERS[1];
+        return new Bullet(x, y, angle, props.speed * speedMultiplier, props.damage, props.radius, props.color, true,
+            props.pierce + pierceBonus, gameCanvas);
+    }
+
+    // Speed of a player bullet tier, which the player leads moving targets by
+    static getPlayerBulletSpeed(level, speedMultiplier = 1) {
+        return (PLAYER_BULLET_TIERS[level] || PLAYER_BULLET_TIERS[1]).speed * speedMultiplier;
     }
 
     static createMonsterBullet(x, y, angle, gameCanvas = null) {
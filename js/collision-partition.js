@@ -0,0 +1,145 @@
+/**
+ * Splits collision work across a pool of collision workers
+ * Active monsters are sorted by x and cut into strips holding an equal number
+ * of monsters. Each worker owns the monsters of its strip and also receives
+ * "ghost" copies of the neighbouring monsters close enough to touch them, so
+ * a pair that straddles a strip boundary is resolved by both owners, each
+ * keeping only its own monster's half of the push. Bullets go to the strip
+ * their center is in, so every bullet's pierce count is tracked by one worker.
+ * Large monsters (bosses) are ghosted into every strip their edge reaches
+ * instead of widening the ghost margin of all strips. Single-pass bullets
+ * (beams and novas) can be far bigger than a strip, so they go to every strip
+ * they reach instead, and each worker only lets them hit its own monsters.
+ * Pickups only touch the player, so the first worker gets them all and the
+ * others none - a pickup can never be collected twice
+ */
+
+import { LARGE_ENTITY_RADIUS } from './broadphase.js';
+
+/**
+ * Partition the active monsters and bullets of a game state into strips
+ * @param {Object} gameState - Game state with monsters and bullets
+ * @param {number} count - Number of strips, one per worker
+ * @param {Array} partitions - Partitions from the previous call, reused to avoid allocating
+ * @returns {Array} - count partitions of { monsters, bullets, pickups, ownedMonsterCount, minX, maxX },
+ *                    where monsters lists the owned monsters first and the ghosts after them
+ */
+export function partitionCollisionWork(gameState, count, partitions = []) {
+    const sorted = collectActive(gameState.monsters, partitions.sortedMonsters || (partitions.sortedMonsters = []));
+    sorted.sort(compareX);
+
+    // Large monsters are ghosted on their own below
+    const largeIndices = partitions.largeIndices || (partitions.largeIndices = []);
+    largeIndices.length = 0;
+    let maxOrdinaryRadius = 0;
+    let maxMonsterRadius = 0;
+    sorted.forEach((monster, index) => {
+        maxMonsterRadius = Math.max(maxMonsterRadius, monster.radius);
+        if (monster.radius > LARGE_ENTITY_RADIUS) {
+            largeIndices.push(index);
+        } else if (monster.radius > maxOrdinaryRadius) {
+            maxOrdinaryRadius = monster.radius;
+        }
+    });
+    const maxBulletRadius = maxRadius(gameState.bullets);
+
+    partitions.length = count;
+    for (let i = 0; i < count; i++) {
+        const partition = partitions[i] || (partitions[i] = { monsters: [], bullets: [], pickups: [], ownedMonsterCount: 0, minX: 0, maxX: 0 });
+        const start = Math.floor(i * sorted.length / count);
+        const end = Math.floor((i + 1) * sorted.length / count);
+
+        // Strip bounds - the outer strips are open-ended, empty strips own nothing
+        partition.minX = i === 0 ? -Infinity : stripStart(sorted, start);
+        partition.maxX = i === count - 1 ? Infinity : stripStart(sorted, end);
+
+        const monsters = partition.monsters;
+        monsters.length = 0;
+        let maxOwnedRadius = 0;
+        for (let j = start; j < end; j++) {
+            monsters.push(sorted[j]);
+            maxOwnedRadius = Math.max(maxOwnedRadius, sorted[j].radius);
+        }
+        partition.ownedMonsterCount = monsters.length;
+
+        // A ghost must reach anything in the strip that an owned monster or bullet could touch
+        const reach = Math.max(maxOwnedRadius, maxBulletRadius);
+        const margin = reach + maxOrdinaryRadius;
+
+        // Ordinary ghosts on either side, nearest first
+        for (let j = start - 1; j >= 0 && sorted[j].x >= partition.minX - margin; j--) {
+            if (sorted[j].radius <= LARGE_ENTITY_RADIUS) monsters.push(sorted[j]);
+        }
+        for (let j = end; j < sorted.length && sorted[j].x < partition.maxX + margin; j++) {
+            if (sorted[j].radius <= LARGE_ENTITY_RADIUS) monsters.push(sorted[j]);
+        }
+
+        // Large ghosts wherever their edge comes within reach of the strip
+        largeIndices.forEach(j => {
+            if (j >= start && j < end) return;
+
+            const monster = sorted[j];
+            if (monster.x + monster.radius + reach >= partition.minX && monster.x - monster.radius - reach < partition.maxX) {
+                monsters.push(monster);
+            }
+        });
+
+        partition.bullets.length = 0;
+        partition.pickups.length = 0;
+    }
+    collectActive(gameState.pickups, partitions[0].pickups);
+
+    // Each bullet belongs to the last strip that starts at or before it
+    gameState.bullets.forEach(bullet => {
+        if (!bullet.isActive) return;
+
+        if (bullet.hitsOnce) {
+            // Every strip holding a monster it could touch
+            const endX = bullet.x + Math.cos(bullet.angle) * bullet.length;
+            const minX = Math.min(bullet.x, endX) - bullet.radius - maxMonsterRadius;
+            const maxX = Math.max(bullet.x, endX) + bullet.radius + maxMonsterRadius;
+            partitions.forEach(partition => {
+                if (maxX >= partition.minX && minX < partition.maxX) partition.bullets.push(bullet);
+            });
+            return;
+        }
+
+        let owner = count - 1;
+        while (owner > 0 && bullet.x < partitions[owner].minX) {
+            owner--;
+        }
+        partitions[owner].bullets.push(bullet);
+    });
+
+    return partitions;
+}
+
+function collectActive(entities, out) {
+    out.length = 0;
+    entities.forEach(entity => {
+        if (entity.isActive) {
+            out.push(entity);
+        }
+    });
+    return out;
+}
+
+// Largest radius of the active entities - single-pass bullets are sent to every strip they reach, so they do not count
+function maxRadius(entities) {
+    let max = 0;
+    entities.forEach(entity => {
+        if (entity.isActive !== false && !entity.hitsOnce && entity.radius > max) {
+            max = entity.radius;
+        }
+    });
+    return max;
+}
+
+// x where the strip starting at index begins - past the last monster the strip is empty
+function stripStart(sorted, index) {
+    return index < sorted.length ? sorted[index].x : Infinity;
+}
+
+function compareX(a, b) {
+    return a.x - b.x;
+}
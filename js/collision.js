@@ -2,16 +2,54 @@
  * Collision detection and resolution utilities
  */
 
+import { collectPickup, dropPickups } from './pickups.js';
+
+// Score for every monster a player bullet hits, on top of the kill score
+export const BULLET_HIT_SCORE = 50;
+
 // Check if two circles are colliding
-function circlesCollide(circle1, circle2) {
+export function circlesCollide(circle1, circle2) {
     const dx = circle1.x - circle2.x;
     const dy = circle1.y - circle2.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
     return distance < circle1.radius + circle2.radius;
 }
 
+/**
+ * Whether a bullet touches a circle - a beam is tested as the segment it covers, widened by its radius
+ * @param {Object} bullet - Bullet with x, y and radius, and angle and length if it is a beam
+ * @param {Object} circle - Circle with x, y and radius
+ * @returns {boolean} - True if they overlap
+ */
+export function bulletHits(bullet, circle) {
+    if (!(bullet.length > 0)) return circlesCollide(bullet, circle);
+
+    // Closest point of the segment to the circle's center
+    const dirX = Math.cos(bullet.angle);
+    const dirY = Math.sin(bullet.angle);
+    const along = Math.max(0, Math.min(bullet.length, (circle.x - bullet.x) * dirX + (circle.y - bullet.y) * dirY));
+    const dx = circle.x - (bullet.x + dirX * along);
+    const dy = circle.y - (bullet.y + dirY * along);
+    const reach = bullet.radius + circle.radius;
+    return dx * dx + dy * dy < reach * reach;
+}
+
+// Broadphase candidates a bullet could hit - a beam queries the circle around its whole segment
+export function queryBulletCandidates(broadphase, bullet, out) {
+    if (!(bullet.length > 0)) return broadphase.query(bullet.x, bullet.y, bullet.radius, out);
+
+    const half = bullet.length / 2;
+    return broadphase.query(bullet.x + Math.cos(bullet.angle) * half, bullet.y + Math.sin(bullet.angle) * half,
+        half + bullet.radius, out);
+}
+
+// A spent bullet has hit all it may - single-pass bullets stay on screen after being spent until they expire
+export function isBulletSpent(bullet) {
+    return bullet.currentPierceCount > bullet.maxPierceCount;
+}
+
 // Resolve collision between two circles (prevent overlapping)
-function resolveCollision(circle1, circle2) {
+export function resolveCollision(circle1, circle2) {
     const dx = circle2.x - circle1.x;
     const dy = circle2.y - circle1.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
@@ -41,3 +79,90 @@ function resolveCollision(circle1, circle2) {
     circle2.x += directionX * circle2Move;
     circle2.y += directionY * circle2Move;
 }
+
+// Reusable candidate list for broadphase queries
+const collisionCandidates = [];
+
+// Handle collisions
+export function handleCollisions(gameState) {
+    const { player, monsters, bullets, broadphase } = gameState;
+
+    // Index monsters once - every monster check below goes through the broadphase
+    broadphase.build(monsters);
+
+    // Player-Monster collisions
+    if (player.isActive) {
+        broadphase.query(player.x, player.y, player.radius, collisionCandidates).forEach(monster => {
+            if (monster.isActive && circlesCollide(player, monster)) {
+                resolveCollision(player, monster);
+                player.takeDamage(monster.contactDamage);
+            }
+        });
+    }
+
+    // Monster-Monster collisions
+    broadphase.forEachPair((monsterA, monsterB) => {
+        if (monsterA.isActive && monsterB.isActive && circlesCollide(monsterA, monsterB)) {
+            resolveCollision(monsterA, monsterB);
+        }
+    });
+
+    // Bullet-Monster collisions (both player bullets and monster bullets)
+    bullets.forEach(bullet => {
+        if (bullet.isActive && !isBulletSpent(bullet)) {
+            queryBulletCandidates(broadphase, bullet, collisionCandidates).forEach(monster => {
+                // A spent bullet stops hitting the rest of the candidates, and never hits the same monster twice
+                if (bullet.isActive && monster.isActive && !bullet.hitMonsterIds.has(monster.id) && bulletHits(bullet, monster)) {
+                    bullet.hitMonsterIds.add(monster.id);
+
+                    // Only award score if it's a player bullet - friendly fire still hurts
+                    const killed = monster.takeDamage(bullet.damage);
+                    if (bullet.isPlayerBullet) {
+                        player.addScore(BULLET_HIT_SCORE);
+                        if (killed) {
+                            player.addScore(monster.killScore);
+                            gameState.kills++;
+                            dropPickups(gameState, monster);
+                        }
+                    }
+
+                    // Handle bullet piercing
+                    bullet.currentPierceCount++;
+                    if (bullet.currentPierceCount > bullet.maxPierceCount) {
+                        bullet.isActive = false;
+                    }
+                }
+            });
+
+            // A single-pass bullet has had its pass, whatever it hit
+            if (bullet.hitsOnce) {
+                bullet.currentPierceCount = Infinity;
+            }
+        }
+    });
+
+    // Bullet-Player collisions
+    bullets.forEach(bullet => {
+        if (bullet.isActive && !bullet.isPlayerBullet && player.isActive && circlesCollide(bullet, player)) {
+            player.takeDamage(bullet.damage);
+            bullet.isActive = false; // Monster bullets don't pierce through player
+        }
+    });
+
+    // Player-Pickup collisions - touching a pickup collects it
+    if (player.isActive) {
+        gameState.pickups.forEach(pickup => {
+            if (pickup.isActive && circlesCollide(player, pickup)) {
+                collectPickup(gameState, pickup);
+            }
+        });
+    }
+}
+
+// Clean up inactive entities
+export function cleanupEntities(gameState) {
+    // Dead monsters make room for the spawner to replace them
+    gameState.monsters = gameState.monsters.filter(monster => monster.isActive);
+    gameState.bullets = gameState.bullets.filter(bullet => bullet.isActive);
+    gameState.pickups = gameState.pickups.filter(pickup => pickup.isActive);
+}
@@ -4,8 +4,13 @@
  * to deliberately slow down the game
  */
 
-class CPUStressTester {
-    constructor() {
+import { defaultRandom } from './random.js';
+
+export class CPUStressTester {
+    constructor(rng = defaultRandom) {
+        // Seedable random source for generated test data
+        this.rng = rng;
+
         // Configuration
         this.enabled = true;
         this.intensityLevel = 3; // 1-5, higher is more intense
@@ -100,7 +105,7 @@ class CPUStressTester {
         for (let i = 0; i < rows; i++) {
             matrix[i] = [];
             for (let j = 0; j < cols; j++) {
-                matrix[i][j] = Math.random() * 10;
+                matrix[i][j] = this.rng.next() * 10;
                 this.calculationsPerFrame++;
             }
         }
@@ -205,11 +210,11 @@ class CPUStressTester {
             this.physicsParticles = [];
             for (let i = 0; i < particleCount; i++) {
                 this.physicsParticles.push({
-                    x: Math.random() * 800,
-                    y: Math.random() * 600,
-                    vx: (Math.random() - 0.5) * 10,
-                    vy: (Math.random() - 0.5) * 10,
-                    mass: 1 + Math.random() * 10
+                    x: this.rng.next() * 800,
+                    y: this.rng.next() * 600,
+                    vx: (this.rng.next() - 0.5) * 10,
+                    vy: (this.rng.next() - 0.5) * 10,
+                    mass: 1 + this.rng.next() * 10
                 });
             }
         }
@@ -0,0 +1,81 @@
+/**
+ * Adaptive dispatch cadence for the collision workers
+ * Results applied at the start of a frame were computed from the state sent at
+ * their dispatch, and stay in use until the next results land - so their age
+ * peaks at the time between dispatches plus the round trip. Instead of sending
+ * every N frames, the scheduler waits as long as one more frame would still
+ * keep that peak within a target staleness, using the recent round-trip
+ * latency and main-thread frame time
+ */
+
+// Default collision staleness budget - about three frames at 60 FPS
+export const DEFAULT_MAX_STALENESS_MS = 50;
+
+// Weight of the newest sample in the smoothed frame time and latency
+const SMOOTHING = 0.2;
+
+export class DispatchScheduler {
+    /**
+     * @param {number} maxStaleness - Oldest the collision results in use should get, in milliseconds
+     */
+    constructor(maxStaleness = DEFAULT_MAX_STALENESS_MS) {
+        this.maxStaleness = maxStaleness;
+        this.frameTime = 0; // Smoothed main-thread frame interval, ms
+        this.latency = 0; // Smoothed time from dispatch until the results are applied, ms
+        this.lastFrameTime = null;
+        this.lastDispatchTime = null; // When the last dispatch was sent, null before the first
+        this.appliedDispatchTime = null; // When the results in use were dispatched
+        this.framesSinceDispatch = 0;
+
+        // Chosen cadence and observed staleness, for the UI and the benchmark
+        this.cadence = 0; // Frames between the last two dispatches
+        this.interval = 0; // Milliseconds between the last two dispatches
+        this.staleness = 0; // Age the last replaced results reached before new ones were applied, ms
+    }
+
+    // Call once at the start of every frame
+    frame(now) {
+        if (this.lastFrameTime !== null) {
+            this.frameTime = smooth(this.frameTime, now - this.lastFrameTime);
+        }
+        this.lastFrameTime = now;
+        this.framesSinceDispatch++;
+    }
+
+    /**
+     * Decide whether to dispatch this frame
+     * @param {number} now - Current timestamp, ms
+     * @param {boolean} busy - Whether a worker is still processing the last dispatch
+     * @returns {boolean} - True if waiting one more frame would let the results age past the budget
+     */
+    shouldDispatch(now, busy) {
+        if (busy) return false;
+        if (this.lastDispatchTime === null) return true;
+
+        return now - this.lastDispatchTime + this.frameTime + this.latency > this.maxStaleness;
+    }
+
+    // Record a dispatch sent at now
+    dispatched(now) {
+        if (this.lastDispatchTime !== null) {
+            this.interval = now - this.lastDispatchTime;
+        }
+        this.cadence = this.framesSinceDispatch;
+        this.framesSinceDispatch = 0;
+        this.lastDispatchTime = now;
+    }
+
+    // Record that the results of the last dispatch were applied at now
+    applied(now) {
+        this.latency = smooth(this.latency, now - this.lastDispatchTime);
+        if (this.appliedDispatchTime !== null) {
+            this.staleness = now - this.appliedDispatchTime;
+        }
+        this.appliedDispatchTime = this.lastDispatchTime;
+    }
+}
+
+// Exponential moving average, seeded by the first sample
+function smooth(average, sample) {
+    return average === 0 ? sample : average + (sample - average) * SMOOTHING;
+}
@@ -0,0 +1,15 @@
+/**
+ * Entity ID allocation
+ * Every monster and bullet gets a numeric ID when it is created. IDs are
+ * never reused, so results that come back from the collision worker can be
+ * matched to the entity they were computed for, even after entities were
+ * removed or reordered in the meantime
+ */
+
+// 0 is never allocated, so it can mean "no entity" on the wire
+let lastEntityId = 0;
+
+// Allocate the next ID - sent as an unsigned 32-bit integer, which no session comes close to exhausting
+export function nextEntityId() {
+    return ++lastEntityId;
+}
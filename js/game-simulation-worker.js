@@ -0,0 +1,389 @@
+/**
+ * Main game logic - Simulation Worker Version
+ * The whole simulation runs in a Web Worker (simulation-worker-thread.js).
+ * This thread forwards input, keeps the latest render snapshot, and draws it
+ * interpolated between the last two steps
+ */
+
+import { BROADPHASE_SPATIAL_HASH, BROADPHASE_BRUTE_FORCE } from './broadphase.js';
+import { isGameplayKey, loadReplayFromQuery, downloadInputLog } from './input.js';
+import { ProtocolError } from './protocol-schema.js';
+import { SeededRandom, getSeedFromQuery } from './random.js';
+import { drawBatchedScene, drawBossHealthBar, drawGameOverScreen, drawLevelBar, drawTargetHighlight, drawUpgradeDraft, drawUpgradePanel } from './render.js';
+import { getTimestamp } from './simulation.js';
+import { DEFAULT_TARGETING_MODE, formatTargetingStatus, hasTargetingMode } from './targeting.js';
+import { SIMULATION_STEPS_PER_SECOND } from './timestep.js';
+import { formatWaveStatus } from './wave-director.js';
+import { deserializeSnapshot } from './worker-protocol.js';
+
+// Get canvas and context
+const simulationCanvas = document.getElementById('simulationGameCanvas');
+const simulationCtx = simulationCanvas.getContext('2d');
+
+// Input log being replayed (?replay=log.json), or null for live play
+let simulationReplayLog = null;
+
+// Game state and worker - make them globally accessible
+let simulationWorker = null;
+window.simulationGameState = null;
+
+// Set canvas size to match container, and tell the simulation
+function resizeSimulationCanvas() {
+    // A replay keeps the recorded canvas size so spawns land in the same places
+    if (simulationReplayLog) {
+        simulationCanvas.width = simulationReplayLog.canvas.width;
+        simulationCanvas.height = simulationReplayLog.canvas.height;
+        return;
+    }
+
+    const container = simulationCanvas.parentElement;
+    simulationCanvas.width = container.clientWidth;
+    simulationCanvas.height = container.clientHeight;
+
+    if (simulationWorker) {
+        simulationWorker.postMessage({ type: 'resize', width: simulationCanvas.width, height: simulationCanvas.height });
+    }
+}
+
+// Broadphase mode can be picked with ?broadphase=bruteForce to benchmark against the old O(n²) scan
+function getInitialSimulationBroadphaseMode() {
+    const mode = new URLSearchParams(window.location.search).get('broadphase');
+    return mode === BROADPHASE_BRUTE_FORCE ? BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+}
+
+// ?invincible=on starts with the player unable to lose health
+function getInitialSimulationInvincible() {
+    return new URLSearchParams(window.location.search).get('invincible') === 'on';
+}
+
+// ?shooting=off stops the player and monsters from firing
+function getInitialSimulationShooting() {
+    return new URLSearchParams(window.location.search).get('shooting') !== 'off';
+}
+
+// ?draft=auto picks upgrades without pausing, for perf testing
+function getInitialSimulationAutoDraft() {
+    return new URLSearchParams(window.location.search).get('draft') === 'auto';
+}
+
+// ?target=nearest|weakest|threat|cluster|mouse picks the targeting mode the player starts in
+function getInitialSimulationTargeting() {
+    const mode = new URLSearchParams(window.location.search).get('target');
+    return hasTargetingMode(mode) ? mode : DEFAULT_TARGETING_MODE;
+}
+
+// Initialize simulation worker game
+function initSimulationGame() {
+    // Stop the previous run's render loop on restart
+    if (window.simulationGameState) {
+        clearTimeout(simulationGameState.timeoutId);
+        cancelAnimationFrame(simulationGameState.animationFrameId);
+    }
+
+    resizeSimulationCanvas();
+
+    // Seedable random source - ?seed=1234 reproduces a run exactly, a replay uses its recorded seed
+    const seed = new SeededRandom(simulationReplayLog ? simulationReplayLog.seed : getSeedFromQuery(window.location.search)).seed;
+
+    window.simulationGameState = {
+        seed: seed,
+        snapshot: null, // Latest decoded render snapshot
+        snapshotTime: 0, // When the latest snapshot arrived
+
+        // FPS calculation
+        frameCount: 0,
+        lastFpsUpdate: 0,
+        fps: 0,
+
+        // Frame rate limiting - start with unlimited frame rate like the other versions
+        limitFrameRate: false,
+        animationFrameId: null,
+        timeoutId: null,
+
+        broadphaseMode: getInitialSimulationBroadphaseMode(), // Broadphase the simulation worker uses
+
+        // Detailed timing measurements - the simulation's own timings arrive with each snapshot
+        timings: {
+            snapshotDecodeTime: 0,
+            renderTime: 0,
+            totalFrameTime: 0
+        }
+    };
+
+    if (window.Worker) {
+        // Terminate existing worker if any
+        if (simulationWorker) {
+            simulationWorker.terminate();
+        }
+
+        // Create new worker - a module worker, so it runs the same simulation code as the other versions
+        simulationWorker = new Worker('js/simulation-worker-thread.js', { type: 'module' });
+        simulationWorker.onmessage = handleSimulationMessage;
+        window.simulationWorker = simulationWorker;
+
+        simulationWorker.postMessage({
+            type: 'start',
+            seed: seed,
+            canvas: { width: simulationCanvas.width, height: simulationCanvas.height },
+            replayLog: simulationReplayLog,
+            broadphase: simulationGameState.broadphaseMode,
+            // A replay starts with the invincibility, shooting and draft mode it was recorded with
+            invincible: simulationReplayLog ? simulationReplayLog.invincible : getInitialSimulationInvincible(),
+            shooting: simulationReplayLog ? simulationReplayLog.shooting : getInitialSimulationShooting(),
+            autoPickUpgrades: simulationReplayLog ? simulationReplayLog.autoPickUpgrades : getInitialSimulationAutoDraft(),
+            targeting: simulationReplayLog ? simulationReplayLog.targeting : getInitialSimulationTargeting()
+        });
+
+        // Set up keyboard event listeners
+        setupSimulationEventListeners();
+
+        // Initialize FPS tracking timestamps
+        const currentTime = getTimestamp();
+        simulationGameState.lastFpsUpdate = currentTime;
+
+        // Start render loop
+        simulationRenderLoop(currentTime);
+    } else {
+        alert('Your browser does not support Web Workers. The simulation worker version will not run.');
+    }
+}
+
+// Handle messages from the simulation worker
+function handleSimulationMessage(e) {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'snapshot': {
+            // Decode once on arrival, then hand the buffer straight back for the next snapshot
+            const decodeStartTime = getTimestamp();
+            try {
+                simulationGameState.snapshot = deserializeSnapshot(message.buffer);
+                simulationGameState.snapshotTime = getTimestamp();
+            } catch (error) {
+                if (!(error instanceof ProtocolError)) throw error;
+                console.error(`Bad simulation snapshot (${error.code}):`, error.message);
+            }
+            simulationGameState.timings.snapshotDecodeTime = getTimestamp() - decodeStartTime;
+            simulationWorker.postMessage({ type: 'snapshotReturned', buffer: message.buffer }, [message.buffer]);
+            break;
+        }
+
+        case 'inputLog':
+            downloadInputLog(message.log, `input-log-simulation-${simulationGameState.seed}.json`);
+            break;
+
+        case 'error':
+            console.error(`Worker error${message.code ? ` (${message.code})` : ''}:`, message.error);
+            break;
+    }
+}
+
+// Render loop - draws the latest snapshot, nothing is simulated here
+function simulationRenderLoop(timestamp) {
+    const frameStartTime = getTimestamp();
+    if (!timestamp) timestamp = frameStartTime;
+
+    // FPS calculation
+    simulationGameState.frameCount++;
+    if (timestamp - simulationGameState.lastFpsUpdate >= 1000) {
+        const elapsed = timestamp - simulationGameState.lastFpsUpdate;
+        simulationGameState.fps = Math.round((simulationGameState.frameCount * 1000) / elapsed);
+        simulationGameState.frameCount = 0;
+        simulationGameState.lastFpsUpdate = timestamp;
+    }
+
+    // Clear canvas
+    simulationCtx.fillStyle = '#111';
+    simulationCtx.fillRect(0, 0, simulationCanvas.width, simulationCanvas.height);
+
+    const { snapshot } = simulationGameState;
+    if (snapshot && snapshot.isGameOver) {
+        // Draw game over screen
+        drawGameOverScreen(simulationCtx, simulationCanvas, snapshot.player.score);
+    } else if (snapshot) {
+        const renderStartTime = getTimestamp();
+
+        // Draw between the last two steps - the worker's clock kept running since it posted
+        const alpha = getSnapshotAlpha(frameStartTime);
+        drawBatchedScene(simulationCtx, snapshot, alpha);
+        drawTargetHighlight(simulationCtx, snapshot.target, alpha);
+        drawBossHealthBar(simulationCtx, simulationCanvas, snapshot.boss);
+        drawLevelBar(simulationCtx, simulationCanvas, snapshot.player, snapshot.powerUps);
+        drawUpgradePanel(simulationCtx, simulationCanvas, snapshot.upgrades);
+        drawUpgradeDraft(simulationCtx, simulationCanvas, snapshot.draft);
+
+        simulationGameState.timings.renderTime = getTimestamp() - renderStartTime;
+
+        // Update UI
+        updateSimulationUI();
+    }
+
+    simulationGameState.timings.totalFrameTime = getTimestamp() - frameStartTime;
+
+    // Continue render loop based on frame rate limiting setting
+    if (simulationGameState.limitFrameRate) {
+        simulationGameState.animationFrameId = requestAnimationFrame(simulationRenderLoop);
+    } else {
+        simulationGameState.timeoutId = setTimeout(() => {
+            simulationRenderLoop(getTimestamp());
+        }, 0);
+    }
+}
+
+// Interpolation factor for this frame - the snapshot's own alpha plus the time since it arrived
+function getSnapshotAlpha(now) {
+    const { snapshot, snapshotTime } = simulationGameState;
+    const elapsedSteps = (now - snapshotTime) / (1000 / SIMULATION_STEPS_PER_SECOND);
+    return Math.min(1, snapshot.alpha + elapsedSteps);
+}
+
+// Update UI - only show FPS for better performance, like the other versions
+function updateSimulationUI() {
+    const { fps, limitFrameRate, broadphaseMode, snapshot, seed } = simulationGameState;
+
+    const modeText = limitFrameRate ? "LIMITED" : "UNLIMITED";
+    const broadphaseText = broadphaseMode === BROADPHASE_BRUTE_FORCE ? "BRUTE FORCE" : "SPATIAL HASH";
+    const simulationText = snapshot.simulationSteps > 0 ?
+        ` (Sim: ${(snapshot.stepTime / snapshot.simulationSteps).toFixed(1)}ms/step)` : '';
+    const waveText = formatWaveStatus(snapshot.wave);
+    const targetText = formatTargetingStatus(snapshot.targetingMode);
+    const invincibleText = snapshot.player.invincible ? ' - INVINCIBLE' : '';
+    const replayText = simulationReplayLog ? ' - REPLAY' : '';
+    const seedText = ` - SEED: ${seed}`; // Reopen with ?seed= to play the same run again
+
+    document.getElementById('fps').textContent =
+        `FPS: ${fps} - ${modeText} - ${broadphaseText} - SIM WORKER${simulationText}${waveText}${targetText}${invincibleText}${replayText}${seedText}`;
+
+    // Hide other UI elements to improve performance
+    document.getElementById('score').style.display = 'none';
+    document.getElementById('health').style.display = 'none';
+    document.getElementById('level').style.display = 'none';
+    document.getElementById('monsters').style.display = 'none';
+    document.getElementById('spawn-time').style.display = 'none';
+}
+
+// Store event handler references so we can remove them later
+const simulationEventHandlers = {
+    keydown: null,
+    keyup: null,
+    mousemove: null,
+    resize: null
+};
+
+// Set up event listeners
+function setupSimulationEventListeners() {
+    removeSimulationEventListeners();
+
+    simulationEventHandlers.keydown = (e) => {
+        const { snapshot } = simulationGameState;
+        if (snapshot && snapshot.isGameOver) {
+            if (e.key === 'r' || e.key === 'R') {
+                initSimulationGame();
+            }
+            return;
+        }
+
+        // Movement, upgrade pick, targeting and invincibility keys become per-tick input commands in the worker
+        if (isGameplayKey(e.key)) {
+            simulationWorker.postMessage({ type: 'keyDown', key: e.key });
+            return;
+        }
+
+        switch (e.key) {
+            case 'f':
+            case 'F':
+                toggleSimulationFrameRateLimit();
+                break;
+            case 'b':
+            case 'B':
+                // Toggle between the spatial hash and the brute-force reference broadphase
+                simulationGameState.broadphaseMode = simulationGameState.broadphaseMode === BROADPHASE_SPATIAL_HASH ?
+                    BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+                simulationWorker.postMessage({ type: 'setBroadphase', broadphase: simulationGameState.broadphaseMode });
+                break;
+            case 'l':
+            case 'L':
+                // The worker records the input - ask it for the log, saved when it arrives
+                simulationWorker.postMessage({ type: 'exportLog' });
+                break;
+        }
+    };
+
+    simulationEventHandlers.keyup = (e) => {
+        if (isGameplayKey(e.key)) {
+            simulationWorker.postMessage({ type: 'keyUp', key: e.key });
+        }
+    };
+
+    // The mouse aims in the mouse aim targeting mode - the worker latches its position into each tick's input
+    simulationEventHandlers.mousemove = (e) => {
+        const rect = simulationCanvas.getBoundingClientRect();
+        simulationWorker.postMessage({
+            type: 'pointerMove',
+            x: (e.clientX - rect.left) * (simulationCanvas.width / rect.width),
+            y: (e.clientY - rect.top) * (simulationCanvas.height / rect.height)
+        });
+    };
+
+    simulationEventHandlers.resize = resizeSimulationCanvas;
+
+    window.addEventListener('keydown', simulationEventHandlers.keydown);
+    window.addEventListener('keyup', simulationEventHandlers.keyup);
+    window.addEventListener('mousemove', simulationEventHandlers.mousemove);
+    window.addEventListener('resize', simulationEventHandlers.resize);
+}
+
+// Remove simulation event listeners
+function removeSimulationEventListeners() {
+    if (simulationEventHandlers.keydown) {
+        window.removeEventListener('keydown', simulationEventHandlers.keydown);
+    }
+
+    if (simulationEventHandlers.keyup) {
+        window.removeEventListener('keyup', simulationEventHandlers.keyup);
+    }
+
+    if (simulationEventHandlers.mousemove) {
+        window.removeEventListener('mousemove', simulationEventHandlers.mousemove);
+    }
+
+    if (simulationEventHandlers.resize) {
+        window.removeEventListener('resize', simulationEventHandlers.resize);
+    }
+}
+
+// Toggle frame rate limiting
+function toggleSimulationFrameRateLimit() {
+    simulationGameState.limitFrameRate = !simulationGameState.limitFrameRate;
+
+    // Stop whichever loop is scheduled and restart with the other one
+    if (simulationGameState.timeoutId) {
+        clearTimeout(simulationGameState.timeoutId);
+        simulationGameState.timeoutId = null;
+    }
+    if (simulationGameState.animationFrameId) {
+        cancelAnimationFrame(simulationGameState.animationFrameId);
+        simulationGameState.animationFrameId = null;
+    }
+
+    if (simulationGameState.limitFrameRate) {
+        simulationGameState.animationFrameId = requestAnimationFrame(simulationRenderLoop);
+    } else {
+        simulationGameState.timeoutId = setTimeout(() => {
+            simulationRenderLoop(getTimestamp());
+        }, 0);
+    }
+}
+
+// Load the replay log if one was requested, then start the game
+async function startSimulationGame() {
+    try {
+        simulationReplayLog = await loadReplayFromQuery(window.location.search);
+    } catch (error) {
+        console.error(error);
+    }
+    initSimulationGame();
+}
+
+// Start the simulation worker game when the page loads (for iframe version)
+window.addEventListener('load', startSimulationGame);
@@ -4,6 +4,41 @@
  * to offload CPU-intensive work from the main thread
  */
 
+// Collision tests, broadphase and wire format are shared with the main thread
+import { Broadphase, BROADPHASE_SPATIAL_HASH, BROADPHASE_BRUTE_FORCE } from './broadphase.js';
+import { BufferPool } from './buffer-pool.js';
+import { bulletHits, circlesCollide, isBulletSpent, queryBulletCandidates, resolveCollision } from './collision.js';
+import { ProtocolError, PROTOCOL_VERSION } from './protocol-schema.js';
+import {
+    SharedRegion,
+    CONTROL_INPUT_GENERATION,
+    CONTROL_RESULT_GENERATION,
+    CONTROL_COMMAND,
+    CONTROL_BROADPHASE,
+    CONTROL_RESULT_STATUS,
+    CONTROL_PROCESS_TIME,
+    COMMAND_NONE,
+    COMMAND_RESIZE,
+    RESULT_OK,
+    RESULT_ERROR
+} from './shared-transport.js';
+import { deserializeGameData, serializeResults } from './worker-protocol.js';
+
+// Reused across messages so the spatial hash keeps its cell arrays
+const broadphase = new Broadphase();
+const collisionCandidates = [];
+
+// Result buffers come back from the main thread with its next message
+const resultBufferPool = new BufferPool();
+
+// Shared transport state - set once the main thread attaches shared memory
+const shared = {
+    control: null,
+    input: null,
+    results: null,
+    lastGeneration: 0 // Last input generation processed, kept across region resizes
+};
+
 // Message handler
 self.onmessage = function(e) {
     const message = e.data;
@@ -12,37 +47,59 @@ self.onmessage = function(e) {
         case 'processCollisions':
             const startTime = performance.now();
 
+            // Take back the result buffer the main thread has finished with
+            resultBufferPool.enabled = message.bufferPool !== false;
+            resultBufferPool.release(message.returnedBuffer);
+
             // Process data from ArrayBuffer
             let data;
             if (message.buffer) {
-                // Deserialize from ArrayBuffer
-                const view = new Float32Array(message.buffer);
-                data = deserializeGameData(view);
+                // Decode and validate - a malformed buffer is reported back instead of processed
+                try {
+                    data = deserializeGameData(message.buffer);
+                } catch (error) {
+                    if (!(error instanceof ProtocolError)) throw error;
+                    postProtocolError(error);
+                    break;
+                }
             } else {
                 data = message.data;
             }
 
             // Process collision data
+            broadphase.setMode(message.broadphase);
             const results = processCollisions(data);
             const endTime = performance.now();
 
-            // Serialize results to ArrayBuffer for transfer
-            const resultBuffer = new ArrayBuffer(1000000); // Allocate a large buffer
-            const resultView = new Float32Array(resultBuffer);
-            const resultSize = serializeResults(results, resultView);
+            // Serialize results into a pooled ArrayBuffer for transfer
+            const { buffer: resultBuffer, byteLength } = serializeResults(results, resultBufferPool);
+            const poolStats = resultBufferPool.takeStats();
 
-            // Send results back to main thread using transferable
+            // Send results back to main thread using transferable, handing the input buffer back for reuse
+            const transfer = message.buffer ? [resultBuffer, message.buffer] : [resultBuffer];
             self.postMessage({
                 type: 'collisionResults',
                 buffer: resultBuffer,
-                bufferSize: resultSize,
-                processTime: endTime - startTime
-            }, [resultBuffer]);
+                byteLength: byteLength,
+                returnedBuffer: message.buffer,
+                processTime: endTime - startTime,
+                resultPoolHits: poolStats.hits,
+                resultPoolMisses: poolStats.misses
+            }, transfer);
+            break;
+
+        case 'attachShared':
+            // Switch to the shared transport - this blocks the worker until the main thread resizes the regions
+            shared.control = new Int32Array(message.control);
+            shared.input = message.input;
+            shared.results = new SharedRegion(message.results, false);
+            runSharedLoop();
             break;
 
         default:
             self.postMessage({
                 type: 'error',
+                code: 'UNKNOWN_MESSAGE',
                 error: `Unknown message type: ${message.type}`
             });
             break;
@@ -50,95 +107,56 @@ self.onmessage = function(e) {
 };
 
 /**
- * Deserialize game data from Float32Array
- * @param {Float32Array} view - Float32Array containing serialized game data
- * @returns {Object} - Deserialized game data
+ * Wait for each new input generation in shared memory and process it
+ * Returns only when the main thread asks for a resize, so the next
+ * attachShared message with the new regions can be received
  */
-function deserializeGameData(view) {
-    let offset = 0;
-
-    // Read player data
-    const player = {
-        x: view[offset++],
-        y: view[offset++],
-        radius: view[offset++],
-        mass: 1,
-        id: 'player'
-    };
+function runSharedLoop() {
+    const control = shared.control;
 
-    // Read monster count
-    const monsterCount = view[offset++];
-    const monsters = [];
-
-    // Read monster data
-    for (let i = 0; i < monsterCount; i++) {
-        monsters.push({
-            x: view[offset++],
-            y: view[offset++],
-            radius: view[offset++],
-            mass: 1,
-            id: `monster-${i}`
-        });
-    }
+    while (true) {
+        Atomics.wait(control, CONTROL_INPUT_GENERATION, shared.lastGeneration);
 
-    // Read bullet count
-    const bulletCount = view[offset++];
-    const bullets = [];
-
-    // Read bullet data
-    for (let i = 0; i < bulletCount; i++) {
-        bullets.push({
-            x: view[offset++],
-            y: view[offset++],
-            radius: view[offset++],
-            isPlayerBullet: view[offset++] > 0,
-            currentPierceCount: view[offset++],
-            maxPierceCount: view[offset++],
-            id: `bullet-${i}`,
-            isActive: true
-        });
-    }
+        if (Atomics.load(control, CONTROL_COMMAND) === COMMAND_RESIZE) {
+            Atomics.store(control, CONTROL_COMMAND, COMMAND_NONE);
+            return;
+        }
+
+        const generation = Atomics.load(control, CONTROL_INPUT_GENERATION);
+        if (generation === shared.lastGeneration) continue; // Woken without new input
+
+        shared.lastGeneration = generation;
+        const startTime = performance.now();
+        let status = RESULT_OK;
+
+        try {
+            broadphase.setMode(Atomics.load(control, CONTROL_BROADPHASE) ? BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH);
+            const results = processCollisions(deserializeGameData(shared.input));
+            serializeResults(results, shared.results);
+        } catch (error) {
+            if (!(error instanceof ProtocolError)) throw error;
+            postProtocolError(error);
+            status = RESULT_ERROR;
+        }
 
-    return { player, monsters, bullets };
+        // Publish - the result generation is stored last so the main thread never sees half a result
+        Atomics.store(control, CONTROL_RESULT_STATUS, status);
+        Atomics.store(control, CONTROL_PROCESS_TIME, Math.round((performance.now() - startTime) * 1000));
+        Atomics.store(control, CONTROL_RESULT_GENERATION, generation);
+    }
 }
 
 /**
- * Serialize results to Float32Array
- * @param {Object} results - Collision processing results
- * @param {Float32Array} view - Float32Array to write to
- * @returns {number} - Number of elements written
+ * Report a malformed message to the main thread as a structured error
+ * @param {ProtocolError} error - What was wrong with the buffer
  */
-function serializeResults(results, view) {
-    let offset = 0;
-
-    // Write player data
-    view[offset++] = results.player.x;
-    view[offset++] = results.player.y;
-
-    // Write score
-    view[offset++] = results.score || 0;
-
-    // Write monster count
-    view[offset++] = results.monsters.length;
-
-    // Write monster data
-    results.monsters.forEach(monster => {
-        view[offset++] = monster.x;
-        view[offset++] = monster.y;
-        view[offset++] = monster.flash ? 1 : 0;
-    });
-
-    // Write bullet count
-    view[offset++] = results.bullets.length;
-
-    // Write bullet data
-    results.bullets.forEach((bullet, index) => {
-        view[offset++] = index; // Use index as ID reference
-        view[offset++] = bullet.isActive ? 1 : 0;
-        view[offset++] = bullet.currentPierceCount || 0;
+function postProtocolError(error) {
+    self.postMessage({
+        type: 'error',
+        code: error.code,
+        error: error.message,
+        protocolVersion: PROTOCOL_VERSION
     });
-
-    return offset;
 }
 
 /**
@@ -147,139 +165,109 @@ function serializeResults(results, view) {
  * @returns {Object} - Updated positions and states after collision resolution
  */
 function processCollisions(data) {
-    const { player, monsters, bullets } = data;
-    let score = 0;
+    const { player, monsters, bullets, pickups, ownedMonsterCount } = data;
 
     // Create result objects to return
     const results = {
         player: { ...player },
         monsters: [],
         bullets: [],
-        score: 0
+        hits: [],
+        pickups: [],
+        playerDamage: 0,
+        ownedMonsterCount: ownedMonsterCount
     };
 
     // Create a working copy of monsters that we can modify
-    const workingMonsters = monsters.map(m => ({ ...m }));
+    // In a worker pool the first ownedMonsterCount monsters are ours, the rest are neighbours' ghosts
+    const workingMonsters = monsters.map((m, i) => ({ ...m, owned: i < ownedMonsterCount }));
 
-    // Process Player-Monster collisions
-    workingMonsters.forEach(monster => {
-        if (circlesCollide(player, monster)) {
+    // Index monsters once - every monster check below goes through the broadphase
+    broadphase.build(workingMonsters);
+
+    // Process Player-Monster collisions - a ghost's owner pushes it against the player
+    broadphase.query(player.x, player.y, player.radius, collisionCandidates).forEach(monster => {
+        if (monster.owned && circlesCollide(player, monster)) {
             resolveCollision(results.player, monster);
+            results.playerDamage = Math.max(results.playerDamage, monster.contactDamage);
         }
     });
 
-    // Process Monster-Monster collisions - simple approach
-    // Check all pairs of monsters
-    for (let i = 0; i < workingMonsters.length; i++) {
-        for (let j = i + 1; j < workingMonsters.length; j++) {
-            if (circlesCollide(workingMonsters[i], workingMonsters[j])) {
-                resolveCollision(workingMonsters[i], workingMonsters[j]);
-            }
+    // Process Monster-Monster collisions - pairs across a strip boundary are resolved by both owners
+    broadphase.forEachPair((monsterA, monsterB) => {
+        if ((monsterA.owned || monsterB.owned) && circlesCollide(monsterA, monsterB)) {
+            resolveCollision(monsterA, monsterB);
         }
-    }
-
-    // Add all working monsters to results to ensure all positions are updated
-    workingMonsters.forEach(monster => {
-        results.monsters.push({
-            ...monster,
-            color: '#FFFFFF' // Ensure color is white
-        });
     });
 
-    // Process Bullet-Monster collisions
+    // Process Bullet-Monster collisions - health is tracked here so later bullets skip monsters already dead,
+    // but each hit is reported for the main thread to apply (and score). A bullet skips the monsters it hit
+    // before, as in the original version. A single-pass bullet is sent to every strip it reaches, so it only
+    // hits the strip's own monsters
     bullets.forEach(bullet => {
-        let bulletUpdated = false;
+        if (isBulletSpent(bullet)) return;
+
+        queryBulletCandidates(broadphase, bullet, collisionCandidates).forEach(monster => {
+            // A spent bullet stops hitting the rest of the candidates, as in the original version
+            if (bullet.isActive && monster.health > 0 && (monster.owned || !bullet.hitsOnce) &&
+                !bullet.hitMonsterIds.has(monster.id) && bulletHits(bullet, monster)) {
+                bullet.hit = true;
+                bullet.hitMonsterIds.add(monster.id);
 
-        workingMonsters.forEach(monster => {
-            if (circlesCollide(bullet, monster)) {
                 // Handle bullet piercing
                 bullet.currentPierceCount = (bullet.currentPierceCount || 0) + 1;
 
-                // Award score for player bullets
-                if (bullet.isPlayerBullet) {
-                    score += 50;
-                }
-
-                // Mark monster for flashing
-                const monsterInResults = results.monsters.find(m => m.id === monster.id);
-                if (monsterInResults) {
-                    monsterInResults.flash = true;
-                }
+                monster.health -= bullet.damage;
+                results.hits.push({
+                    bulletId: bullet.id,
+                    monsterId: monster.id,
+                    damage: bullet.damage,
+                    isPlayerBullet: bullet.isPlayerBullet,
+                    leg: bullet.leg
+                });
 
                 // Deactivate bullet if it has reached max pierce count
                 if (bullet.currentPierceCount > bullet.maxPierceCount) {
                     bullet.isActive = false;
                 }
-
-                // Add updated bullet to results if not already added
-                if (!bulletUpdated) {
-                    results.bullets.push({ ...bullet });
-                    bulletUpdated = true;
-                }
             }
         });
+
+        // A single-pass bullet has had its pass - always reported, so the main thread knows it is spent
+        if (bullet.hitsOnce) {
+            bullet.currentPierceCount = Infinity;
+            bullet.hit = true;
+        }
     });
 
     // Process Bullet-Player collisions
     bullets.forEach(bullet => {
-        if (!bullet.isPlayerBullet && circlesCollide(bullet, player)) {
-            // Player is invincible, just deactivate the bullet
+        if (bullet.isActive && !bullet.isPlayerBullet && circlesCollide(bullet, player)) {
+            // The main thread applies the hit - monster bullets don't pierce through the player
+            results.playerDamage = Math.max(results.playerDamage, bullet.damage);
             bullet.isActive = false;
-            results.bullets.push({ ...bullet });
+            bullet.hit = true;
         }
     });
 
-    // Update score
-    results.score = score;
+    // Process Player-Pickup collisions at the player's pushed position - the main thread collects them
+    pickups.forEach(pickup => {
+        if (circlesCollide(results.player, pickup)) {
+            results.pickups.push({ id: pickup.id });
+        }
+    });
 
-    return results;
-}
+    // Report every bullet that hit something once, with its final pierce count and state
+    bullets.forEach(bullet => {
+        if (bullet.hit) {
+            results.bullets.push(bullet);
+        }
+    });
 
-/**
- * Check if two circles are colliding
- * @param {Object} circle1 - First circle with x, y, and radius properties
- * @param {Object} circle2 - Second circle with x, y, and radius properties
- * @returns {boolean} - True if circles are colliding
- */
-function circlesCollide(circle1, circle2) {
-    const dx = circle1.x - circle2.x;
-    const dy = circle1.y - circle2.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance < circle1.radius + circle2.radius;
-}
+    // Add all working monsters to results to ensure all positions are updated
+    workingMonsters.forEach(monster => {
+        results.monsters.push(monster);
+    });
 
-/**
- * Resolve collision between two circles
- * @param {Object} circle1 - First circle with x, y, radius, and optional mass properties
- * @param {Object} circle2 - Second circle with x, y, radius, and optional mass properties
- */
-function resolveCollision(circle1, circle2) {
-    const dx = circle2.x - circle1.x;
-    const dy = circle2.y - circle1.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // If circles are not colliding, no need to resolve
-    if (distance >= circle1.radius + circle2.radius) return;
-
-    // Calculate the overlap
-    const overlap = (circle1.radius + circle2.radius - distance) / 2;
-
-    // Calculate the unit vector in the direction of the collision
-    const directionX = dx / distance;
-    const directionY = dy / distance;
-
-    // Move circles apart based on their mass
-    const mass1 = circle1.mass || 1;
-    const mass2 = circle2.mass || 1;
-    const totalMass = mass1 + mass2;
-
-    // Calculate how much each circle should move
-    const circle1Move = (mass2 / totalMass) * overlap;
-    const circle2Move = (mass1 / totalMass) * overlap;
-
-    // Move the circles apart
-    circle1.x -= directionX * circle1Move;
-    circle1.y -= directionY * circle1Move;
-    circle2.x += directionX * circle2Move;
-    circle2.y += directionY * circle2Move;
+    return results;
 }
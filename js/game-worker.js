@@ -4,19 +4,55 @@
  * but offloads collision detection and physics calculations to a Web Worker
  */
 
-// Get canvas and context
+import { Broadphase, BROADPHASE_SPATIAL_HASH, BROADPHASE_BRUTE_FORCE } from './broadphase.js';
+import { DEFAULT_MAX_STALENESS_MS, DispatchScheduler } from './dispatch-scheduler.js';
+import { InputController, loadReplayFromQuery, downloadInputLog } from './input.js';
+import { isOffscreenRenderingAvailable, OffscreenRenderer, RENDER_MAIN_THREAD, RENDER_OFFSCREEN } from './offscreen-renderer.js';
+import { describePowerUps } from './pickups.js';
+import { ProtocolError } from './protocol-schema.js';
+import { SeededRandom, getSeedFromQuery } from './random.js';
+import { drawBatchedScene, drawBossHealthBar, drawGameOverScreen, drawLevelBar, drawTargetHighlight, drawUpgradeDraft, drawUpgradePanel } from './render.js';
+import { isSharedTransportAvailable, TRANSPORT_SHARED, TRANSPORT_TRANSFERABLE } from './shared-transport.js';
+import { createSimulationState, resetStepTimings, updateGame } from './simulation.js';
+import { DEFAULT_TARGETING_MODE, formatTargetingStatus, hasTargetingMode } from './targeting.js';
+import { FixedTimestep, SIMULATION_STEPS_PER_SECOND } from './timestep.js';
+import { describeChosenUpgrades, describeUpgradeDraft } from './upgrades.js';
+import { formatWaveStatus } from './wave-director.js';
+import { CollisionWorkerPool, getDefaultWorkerPoolSize } from './worker-pool.js';
+import { applyCollisionResults } from './worker-protocol.js';
+
+// Get canvas - the context (or the render worker) is set up once, on the first start
 const workerCanvas = document.getElementById('workerGameCanvas');
-const workerCtx = workerCanvas.getContext('2d');
+let workerCtx = null;
+let workerRenderer = null; // Render worker owning the canvas when rendering offscreen
+
+// Input log being replayed (?replay=log.json), or null for live play
+let workerReplayLog = null;
 
 // Set canvas size to match container
 function resizeWorkerCanvas() {
+    // A replay keeps the recorded canvas size so spawns land in the same places
     const container = workerCanvas.parentElement;
-    workerCanvas.width = container.clientWidth;
-    workerCanvas.height = container.clientHeight;
+    const width = workerReplayLog ? workerReplayLog.canvas.width : container.clientWidth;
+    const height = workerReplayLog ? workerReplayLog.canvas.height : container.clientHeight;
+
+    // A transferred canvas can only be resized by the worker that owns it
+    if (workerRenderer) {
+        workerRenderer.resize(width, height);
+        return;
+    }
+
+    workerCanvas.width = width;
+    workerCanvas.height = height;
+}
+
+// Size of the drawing buffer, whichever thread owns the canvas
+function getWorkerCanvasSize() {
+    return workerRenderer ? workerRenderer.size : workerCanvas;
 }
 
-// Game state and worker - make them globally accessible
-let gameWorker = null;
+// Game state and collision workers - make them globally accessible
+let workerPool = null;
 window.workerGameState = null;
 
 // High performance timestamp function for worker version
@@ -24,20 +60,129 @@ const getWorkerTimestamp = () => {
     return window.performance && window.performance.now ? window.performance.now() : Date.now();
 };
 
+// Broadphase mode can be picked with ?broadphase=bruteForce to benchmark against the old O(n²) scan
+function getInitialWorkerBroadphaseMode() {
+    const mode = new URLSearchParams(window.location.search).get('broadphase');
+    return mode === BROADPHASE_BRUTE_FORCE ? BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+}
+
+// Buffer pooling can be turned off with ?bufferPool=off to compare allocation and GC pressure
+function getInitialBufferPoolEnabled() {
+    return new URLSearchParams(window.location.search).get('bufferPool') !== 'off';
+}
+
+// ?transport=shared moves collision data through SharedArrayBuffer instead of transferred buffers
+function getInitialTransport() {
+    if (new URLSearchParams(window.location.search).get('transport') !== TRANSPORT_SHARED) {
+        return TRANSPORT_TRANSFERABLE;
+    }
+
+    // SharedArrayBuffer needs a cross-origin isolated page (COOP/COEP headers)
+    if (!isSharedTransportAvailable()) {
+        console.warn('Shared transport needs cross-origin isolation - falling back to transferable buffers');
+        return TRANSPORT_TRANSFERABLE;
+    }
+    return TRANSPORT_SHARED;
+}
+
+// ?workers=N sets the collision worker pool size - defaults to every core but the main thread's
+function getInitialWorkerPoolSize() {
+    const size = parseInt(new URLSearchParams(window.location.search).get('workers'), 10);
+    return size > 0 ? size : getDefaultWorkerPoolSize(navigator.hardwareConcurrency);
+}
+
+// ?invincible=on starts with the player unable to lose health
+function getInitialWorkerInvincible() {
+    return new URLSearchParams(window.location.search).get('invincible') === 'on';
+}
+
+// ?shooting=off stops the player and monsters from firing
+function getInitialWorkerShooting() {
+    return new URLSearchParams(window.location.search).get('shooting') !== 'off';
+}
+
+// ?draft=auto picks upgrades without pausing, for perf testing
+function getInitialWorkerAutoDraft() {
+    return new URLSearchParams(window.location.search).get('draft') === 'auto';
+}
+
+// ?target=nearest|weakest|threat|cluster|mouse picks the targeting mode the player starts in
+function getInitialWorkerTargeting() {
+    const mode = new URLSearchParams(window.location.search).get('target');
+    return hasTargetingMode(mode) ? mode : DEFAULT_TARGETING_MODE;
+}
+
+// ?staleness=ms sets how old collision results may get before the next ones must land
+function getInitialMaxStaleness() {
+    const staleness = parseFloat(new URLSearchParams(window.location.search).get('staleness'));
+    return staleness > 0 ? staleness : DEFAULT_MAX_STALENESS_MS;
+}
+
+// ?render=offscreen draws in a render worker - falls back to the main thread where OffscreenCanvas is missing
+function getInitialRenderMode() {
+    if (new URLSearchParams(window.location.search).get('render') !== RENDER_OFFSCREEN) {
+        return RENDER_MAIN_THREAD;
+    }
+
+    if (!isOffscreenRenderingAvailable()) {
+        console.warn('OffscreenCanvas is not supported - falling back to main thread rendering');
+        return RENDER_MAIN_THREAD;
+    }
+    return RENDER_OFFSCREEN;
+}
+
+// Take the canvas for main thread drawing or hand it to the render worker - a canvas can only be transferred once
+function setupWorkerRenderer() {
+    if (workerCtx || workerRenderer) return;
+
+    if (getInitialRenderMode() === RENDER_OFFSCREEN) {
+        workerRenderer = new OffscreenRenderer(workerCanvas, getInitialBufferPoolEnabled());
+    } else {
+        workerCtx = workerCanvas.getContext('2d');
+    }
+}
+
 // Initialize worker game
 function initWorkerGame() {
+    // Stop the previous run's game loop on restart, so two loops never step the same state
+    if (window.workerGameState) {
+        clearTimeout(workerGameState.timeoutId);
+        cancelAnimationFrame(workerGameState.animationFrameId);
+    }
+
+    setupWorkerRenderer();
     resizeWorkerCanvas();
+    const canvasSize = getWorkerCanvasSize();
+
+    // Seedable random source - ?seed=1234 reproduces a run exactly, a replay uses its recorded seed
+    const rng = new SeededRandom(workerReplayLog ? workerReplayLog.seed : getSeedFromQuery(window.location.search));
+
+    // ?target=weakest starts in another targeting mode, a replay in its recorded one
+    const targeting = workerReplayLog ? workerReplayLog.targeting : getInitialWorkerTargeting();
+
+    // ?invincible=on keeps the player alive and ?shooting=off leaves only movement and contact collisions - a replay
+    // starts the way it was recorded
+    const invincible = workerReplayLog ? workerReplayLog.invincible : getInitialWorkerInvincible();
+    const shooting = workerReplayLog ? workerReplayLog.shooting : getInitialWorkerShooting();
+
+    // ?draft=auto takes the first choice of every upgrade draft instead of pausing - a replay drafts the way it was recorded
+    const autoPickUpgrades = workerReplayLog ? workerReplayLog.autoPickUpgrades : getInitialWorkerAutoDraft();
 
     // Create game state identical to the original game
     window.workerGameState = {
-        player: new Player(workerCanvas.width / 2, workerCanvas.height / 2, workerCanvas),
-        monsters: [],
-        bullets: [],
-        monsterSpawner: new MonsterSpawner(workerCanvas),
-        lastTime: 0,
-        isGameOver: false,
-        upgradePoints: 0,
-        upgradeThreshold: 500, // Score needed for an upgrade
+        // Player, entities, spawner and progression shared with the other versions
+        ...createSimulationState(canvasSize, rng, new InputController({
+            game: 'worker',
+            seed: rng.seed,
+            targeting: targeting,
+            invincible: invincible,
+            shooting: shooting,
+            autoPickUpgrades: autoPickUpgrades,
+            stepsPerSecond: SIMULATION_STEPS_PER_SECOND,
+            canvas: { width: canvasSize.width, height: canvasSize.height }
+        }, workerReplayLog)), // Per-tick player commands, recorded for replay (or read back from a replay log)
+
+        timestep: new FixedTimestep(), // Fixed-step simulation clock
 
         // FPS calculation
         frameCount: 0,
@@ -48,14 +193,18 @@ function initWorkerGame() {
         limitFrameRate: false, // Default to unlimited frame rate for worker version
         animationFrameId: null, // Store animation frame ID
 
-        // Visual effects systems
-        particleSystem: new ParticleSystem(),
-
         // Worker specific properties
+        broadphaseMode: getInitialWorkerBroadphaseMode(), // Broadphase the worker uses for collisions
+        broadphase: null, // Main thread broadphase, for collisions while the worker pool is restarting a worker
         collisionsProcessedByWorker: false,
-        collisionProcessTime: 0,
-        workerBusy: false, // Flag to track if worker is processing data
-        pendingWorkerResults: null, // Store worker results for processing in the next frame
+        collisionProcessTime: 0, // Slowest worker of the last dispatch
+        droppedWorkerResults: 0, // Results whose entity died while the worker was busy
+        fallbackFrames: 0, // Frames that ran collisions on the main thread because a worker was restarted
+        bufferPoolEnabled: getInitialBufferPoolEnabled(), // Whether message buffers are handed back for reuse
+        transport: getInitialTransport(), // How collision data reaches the worker
+        workerPoolSize: getInitialWorkerPoolSize(), // Collision workers sharing each dispatch
+        dispatchScheduler: new DispatchScheduler(getInitialMaxStaleness()), // Picks the frames that dispatch
+        renderMode: workerRenderer ? RENDER_OFFSCREEN : RENDER_MAIN_THREAD, // Thread that draws the canvas
 
         // Performance tracking
         mainThreadFps: 0, // Track main thread FPS separately from worker FPS
@@ -69,23 +218,51 @@ function initWorkerGame() {
             bulletUpdateTime: 0,
             monsterSpawnTime: 0,
             dataSerializationTime: 0,
-            renderTime: 0,
-            totalFrameTime: 0
+            inputPoolHits: 0, // Buffer pool hits/misses during the last frame
+            inputPoolMisses: 0,
+            resultPoolHits: 0,
+            resultPoolMisses: 0,
+            collisionTime: 0, // Main thread collisions, only while falling back
+            renderTime: 0, // Drawing, or encoding and posting the frame when rendering offscreen
+            renderWorkerTime: 0, // Render worker's draw time for the last frame it finished
+            renderFramesSkipped: 0, // 1 if this frame was not sent because the render worker was busy
+            totalFrameTime: 0,
+            simulationSteps: 0 // Fixed steps run during the last frame
         }
     };
 
-    // Create and initialize the worker for collision detection
+    workerGameState.broadphase = new Broadphase(workerGameState.broadphaseMode);
+
+    workerGameState.player.invincible = invincible;
+    workerGameState.shootingEnabled = shooting;
+    workerGameState.autoPickUpgrades = autoPickUpgrades;
+
+    workerGameState.player.targetingMode = targeting;
+
+    // Create and initialize the workers for collision detection
     if (window.Worker) {
-        // Terminate existing worker if any
-        if (gameWorker) {
-            gameWorker.terminate();
+        // Terminate existing workers if any
+        if (workerPool) {
+            workerPool.terminate();
         }
 
-        // Create new worker
-        gameWorker = new Worker('js/game-worker-thread.js');
-
-        // Set up message handler
-        gameWorker.onmessage = handleWorkerMessage;
+        // Create new workers - module workers, so they import the same collision code as the page
+        workerPool = new CollisionWorkerPool({
+            size: workerGameState.workerPoolSize,
+            transport: workerGameState.transport,
+            bufferPool: workerGameState.bufferPoolEnabled,
+            createWorker: (onMessage, onError) => {
+                const worker = new Worker('js/game-worker-thread.js', { type: 'module' });
+                worker.onmessage = e => onMessage(e.data);
+                worker.onerror = e => {
+                    e.preventDefault();
+                    onError(e.message);
+                };
+                worker.onmessageerror = () => onError('message could not be deserialized');
+                return worker;
+            }
+        });
+        window.workerPool = workerPool;
 
         // Set up keyboard event listeners
         setupWorkerEventListeners();
@@ -110,10 +287,6 @@ function workerGameLoop(timestamp) {
     // If no timestamp provided (first call), use current time
     if (!timestamp) timestamp = frameStartTime;
 
-    // Calculate delta time
-    const deltaTime = (timestamp - workerGameState.lastTime) / 1000;
-    workerGameState.lastTime = timestamp;
-
     // More accurate FPS calculation
     workerGameState.frameCount++;
     if (timestamp - workerGameState.lastFpsUpdate >= 1000) {
@@ -124,43 +297,39 @@ function workerGameLoop(timestamp) {
         workerGameState.lastFpsUpdate = timestamp;
     }
 
+    workerGameState.dispatchScheduler.frame(timestamp);
+
     // Process any pending worker results at the start of the frame
     // If there are results, process them; if not, just skip
-    if (workerGameState.pendingWorkerResults) {
-        const results = workerGameState.pendingWorkerResults;
-
-        // Process the results
-        if (results.buffer) {
-            // Deserialize from ArrayBuffer
-            const view = new Float32Array(results.buffer);
-            const deserializedResults = deserializeResults(view);
-            applyCollisionResults(deserializedResults);
-        } else if (results.data) {
-            applyCollisionResults(results.data);
-        }
+    workerGameState.timings.resultPoolHits = 0;
+    workerGameState.timings.resultPoolMisses = 0;
+    applyWorkerResults();
+    // If no results, just continue with the frame
 
-        // Update collision process time for UI display
-        workerGameState.collisionProcessTime = results.processTime;
-        workerGameState.collisionsProcessedByWorker = true;
+    if (!workerGameState.isGameOver) {
+        // Update game in fixed steps - the step timings below add up over the frame
+        resetStepTimings(workerGameState.timings);
 
-        // Clear pending results
-        workerGameState.pendingWorkerResults = null;
-    }
-    // If no results, just continue with the frame
+        // Collisions fall back to the main thread until a restarted worker has replied
+        const fallback = workerPool.degraded;
+        if (fallback) {
+            workerGameState.fallbackFrames++;
+        }
 
-    // Clear canvas
-    workerCtx.fillStyle = '#111';
-    workerCtx.fillRect(0, 0, workerCanvas.width, workerCanvas.height);
+        workerGameState.timings.simulationSteps = workerGameState.timestep.advance(timestamp, (stepSize, tick) => {
+            if (!workerGameState.isGameOver) {
+                updateWorkerGame(stepSize, workerGameState.input.commandForTick(tick), fallback);
+            }
+        });
 
-    if (!workerGameState.isGameOver) {
-        // Update game
-        updateWorkerGame(deltaTime);
+        // Hand the latest state to the collision worker
+        sendCollisionDataToWorker();
 
         // Measure render time
         const renderStartTime = getWorkerTimestamp();
 
-        // Draw game
-        drawWorkerGame();
+        // Draw game between the last two steps
+        drawWorkerGame(workerGameState.timestep.alpha);
 
         // Calculate render time
         workerGameState.timings.renderTime = getWorkerTimestamp() - renderStartTime;
@@ -190,398 +359,98 @@ function workerGameLoop(timestamp) {
     }
 }
 
-// Update game state
-function updateWorkerGame(deltaTime) {
-    const { player, monsters, bullets, monsterSpawner } = workerGameState;
-
-    // Measure player update time
-    const playerStartTime = getWorkerTimestamp();
-
-    // Update player
-    player.update(deltaTime, monsters, bullets);
-
-    // Calculate player update time
-    workerGameState.timings.playerUpdateTime = getWorkerTimestamp() - playerStartTime;
-
-    // Measure monster update time
-    const monsterStartTime = getWorkerTimestamp();
-
-    // Update monsters
-    monsters.forEach(monster => {
-        monster.update(deltaTime, player, bullets);
-    });
-
-    // Calculate monster update time
-    workerGameState.timings.monsterUpdateTime = getWorkerTimestamp() - monsterStartTime;
-
-    // Measure bullet update time
-    const bulletStartTime = getWorkerTimestamp();
-
-    // 暂时禁用子弹更新
-    // bullets.forEach(bullet => {
-    //     bullet.update(deltaTime);
-    // });
-
-    // Calculate bullet update time
-    workerGameState.timings.bulletUpdateTime = getWorkerTimestamp() - bulletStartTime;
-
-    // Measure monster spawning time
-    const spawnStartTime = getWorkerTimestamp();
-
-    // Spawn monsters - use the same spawning logic as the original version
-    monsterSpawner.update(deltaTime, monsters);
-
-    // Calculate monster spawning time
-    workerGameState.timings.monsterSpawnTime = getWorkerTimestamp() - spawnStartTime;
-
-    // Ensure all monsters and bullets have IDs
-    monsters.forEach((monster, index) => {
-        if (!monster.id) {
-            monster.id = `monster-${index}-${Date.now()}`;
-        }
-        // Always ensure monster color is white
-        monster.color = '#FFFFFF';
-    });
-
-    bullets.forEach((bullet, index) => {
-        if (!bullet.id) {
-            bullet.id = `bullet-${index}-${Date.now()}`;
-        }
-    });
-
-    // Send data to worker only if it's not busy and we should update this frame
-    // Add frame skipping to reduce worker communication overhead
-    workerGameState.frameCounter = (workerGameState.frameCounter || 0) + 1;
-
-    // Only send data to worker every 3 frames
-    if (!workerGameState.workerBusy && workerGameState.frameCounter >= 3) {
-        // Reset frame counter
-        workerGameState.frameCounter = 0;
-
-        // Mark worker as busy until it responds
-        workerGameState.workerBusy = true;
-
-        // Measure data serialization time
-        const serializationStartTime = getWorkerTimestamp();
-
-        // Calculate buffer size needed to avoid allocating too much memory
-        const monsterDataSize = monsters.length * 3; // x, y, radius for each monster
-        const bulletDataSize = bullets.length * 6; // x, y, radius, isPlayerBullet, currentPierceCount, maxPierceCount
-        const bufferSize = 4 + monsterDataSize + bulletDataSize; // Player data (3) + monster count (1) + bullet count (1)
-
-        // Serialize data to ArrayBuffer for transfer - use a more appropriate size
-        const buffer = new ArrayBuffer(Math.max(bufferSize * 4, 1024)); // Ensure minimum size of 1KB
-        const view = new Float32Array(buffer);
-
-        // Store data in the buffer (simplified approach)
-        let offset = 0;
-
-        // Player data
-        view[offset++] = player.x;
-        view[offset++] = player.y;
-        view[offset++] = player.radius;
-
-        // Monster count
-        view[offset++] = monsters.length;
-
-        // Monster data - only send active monsters
-        monsters.forEach(monster => {
-            if (monster.isActive) {
-                view[offset++] = monster.x;
-                view[offset++] = monster.y;
-                view[offset++] = monster.radius;
-            }
-        });
-
-        // Bullet count
-        view[offset++] = bullets.length;
-
-        // Bullet data - only send active bullets
-        bullets.forEach(bullet => {
-            if (bullet.isActive) {
-                view[offset++] = bullet.x;
-                view[offset++] = bullet.y;
-                view[offset++] = bullet.radius;
-                view[offset++] = bullet.isPlayerBullet ? 1 : 0;
-                view[offset++] = bullet.currentPierceCount;
-                view[offset++] = bullet.maxPierceCount;
-            }
-        });
-
-        // Calculate data serialization time
-        workerGameState.timings.dataSerializationTime = getWorkerTimestamp() - serializationStartTime;
-
-        // Send data to worker using transferable
-        gameWorker.postMessage({
-            type: 'processCollisions',
-            buffer: buffer,
-            bufferSize: offset
-        }, [buffer]);
-    }
-
-    // Continue with other game logic regardless of worker status
-    // Check for game over
-    if (!player.isActive) {
-        workerGameState.isGameOver = true;
+// Apply the merged results once every collision worker has replied - a malformed reply is logged and skipped
+function applyWorkerResults() {
+    let collected;
+    try {
+        collected = workerPool.collect();
+    } catch (error) {
+        if (!(error instanceof ProtocolError)) throw error;
+        console.error(`Bad collision results (${error.code}):`, error.message);
+        return;
     }
+    if (!collected) return;
+    workerGameState.dispatchScheduler.applied(getWorkerTimestamp());
 
-    // Check for upgrade
-    if (player.score >= workerGameState.upgradeThreshold) {
-        workerGameState.upgradePoints++;
-        workerGameState.upgradeThreshold += 500;
+    if (collected.results) {
+        workerGameState.droppedWorkerResults += applyCollisionResults(workerGameState, collected.results);
     }
+    workerGameState.timings.resultPoolHits = collected.resultPoolHits;
+    workerGameState.timings.resultPoolMisses = collected.resultPoolMisses;
 
-    // Clean up inactive entities (bullets only, monsters are handled by collision worker)
-    workerGameState.bullets = workerGameState.bullets.filter(bullet => bullet.isActive);
+    // Update collision process time for UI display
+    workerGameState.collisionProcessTime = collected.processTime;
+    workerGameState.collisionsProcessedByWorker = true;
 }
 
-
-
-// Handle messages from the worker - store results for next frame
-function handleWorkerMessage(e) {
-    const message = e.data;
-
-    switch (message.type) {
-        case 'collisionResults':
-            // Store collision results for processing in the next frame
-            if (message.buffer) {
-                // Store the buffer and process time for next frame
-                workerGameState.pendingWorkerResults = {
-                    buffer: message.buffer,
-                    processTime: message.processTime
-                };
-            } else {
-                // Store the data and process time for next frame
-                workerGameState.pendingWorkerResults = {
-                    data: message.data,
-                    processTime: message.processTime
-                };
-            }
-
-            // Mark worker as no longer busy - ready to receive new data
-            workerGameState.workerBusy = false;
-            break;
-
-        case 'error':
-            console.error('Worker error:', message.error);
-            // Also mark worker as no longer busy in case of error
-            workerGameState.workerBusy = false;
-            break;
-    }
+// Advance the game state by one fixed simulation step, driven by that tick's input command
+function updateWorkerGame(deltaTime, command, runCollisions) {
+    // Same step as the original version, except that collisions run in the worker unless it is being restarted
+    updateGame(deltaTime, workerGameState, command, runCollisions);
 }
 
-/**
- * Deserialize results from Float32Array
- * @param {Float32Array} view - Float32Array containing serialized results
- * @returns {Object} - Deserialized results
- */
-function deserializeResults(view) {
-    let offset = 0;
-
-    // Read player data
-    const player = {
-        x: view[offset++],
-        y: view[offset++]
-    };
-
-    // Read score
-    const score = view[offset++];
+// Send the current state to the collision worker when it is free
+function sendCollisionDataToWorker() {
+    // Send as late as the staleness budget allows, to keep worker communication down
+    const { dispatchScheduler } = workerGameState;
+    if (dispatchScheduler.shouldDispatch(getWorkerTimestamp(), workerPool.busy)) {
+        // Measure data serialization time - with several workers this includes partitioning
+        const serializationStartTime = getWorkerTimestamp();
 
-    // Read monster count
-    const monsterCount = view[offset++];
-    const monsters = [];
+        // Pack player, monsters and bullets for each worker and send them off
+        workerPool.dispatch(workerGameState, workerGameState.broadphaseMode);
 
-    // Read monster data
-    for (let i = 0; i < monsterCount; i++) {
-        monsters.push({
-            x: view[offset++],
-            y: view[offset++],
-            flash: view[offset++] > 0,
-            id: `monster-${i}`
-        });
-    }
+        // Calculate data serialization time
+        workerGameState.timings.dataSerializationTime = getWorkerTimestamp() - serializationStartTime;
 
-    // Read bullet count
-    const bulletCount = view[offset++];
-    const bullets = [];
-
-    // Read bullet data
-    for (let i = 0; i < bulletCount; i++) {
-        const bulletIndex = view[offset++];
-        bullets.push({
-            id: `bullet-${bulletIndex}`,
-            isActive: view[offset++] > 0,
-            currentPierceCount: view[offset++]
-        });
+        // Results are as old as the state they were computed from
+        dispatchScheduler.dispatched(serializationStartTime);
     }
 
-    return { player, monsters, bullets, score };
-}
-
-// Apply collision results from worker
-function applyCollisionResults(results) {
-    // Apply results directly without using requestAnimationFrame
-    // This is safer and avoids potential timing issues
-        const { player, monsters, bullets, score } = results;
-
-        // Update player position if changed
-        if (player) {
-            workerGameState.player.x = player.x;
-            workerGameState.player.y = player.y;
-        }
-
-        // Update monster positions - use minimal updates
-        if (monsters && monsters.length > 0) {
-            // Use a more efficient approach - direct index matching instead of searching
-            const monsterCount = Math.min(monsters.length, workerGameState.monsters.length);
-
-            for (let i = 0; i < monsterCount; i++) {
-                const updatedMonster = monsters[i];
-                const monster = workerGameState.monsters[i];
-
-                // Only update position - minimize work in main thread
-                monster.x = updatedMonster.x;
-                monster.y = updatedMonster.y;
-
-                // Simplified flash handling - no setTimeout to reduce overhead
-                if (updatedMonster.flash) {
-                    monster.color = '#FFFFFF';
-                }
-            }
-        }
-
-        // Update bullet states - use minimal processing
-        if (bullets && bullets.length > 0) {
-            // Create a map for faster lookups - only once
-            if (!workerGameState.bulletMap) {
-                workerGameState.bulletMap = new Map();
-            } else {
-                workerGameState.bulletMap.clear();
-            }
-
-            // Populate map
-            workerGameState.bullets.forEach(bullet => {
-                workerGameState.bulletMap.set(bullet.id, bullet);
-            });
-
-            // Apply updates
-            bullets.forEach(updatedBullet => {
-                const bullet = workerGameState.bulletMap.get(updatedBullet.id);
-                if (bullet) {
-                    bullet.isActive = updatedBullet.isActive;
-                    bullet.currentPierceCount = updatedBullet.currentPierceCount;
-                }
-            });
-        }
-
-        // Update score if changed
-        if (score !== undefined) {
-            workerGameState.player.score += score; // Add to current score
-        }
+    // Input pool hits/misses for this frame
+    const poolStats = workerPool.takeInputPoolStats();
+    workerGameState.timings.inputPoolHits = poolStats.hits;
+    workerGameState.timings.inputPoolMisses = poolStats.misses;
 }
 
-// Draw game with optimizations
-function drawWorkerGame() {
-    const { player, monsters } = workerGameState; // 不再需要 bullets 变量
-
-    // 暂时禁用子弹绘制
-    // const activeBullets = bullets.filter(bullet => bullet.isActive);
-
-    // // Batch similar drawing operations to reduce context state changes
-    // if (activeBullets.length > 0) {
-    //     // Draw player bullets
-    //     const playerBullets = activeBullets.filter(bullet => bullet.isPlayerBullet);
-    //     if (playerBullets.length > 0) {
-    //         workerCtx.fillStyle = '#00FFFF'; // Use a single color for all player bullets
-    //         workerCtx.beginPath();
-    //         playerBullets.forEach(bullet => {
-    //             workerCtx.moveTo(bullet.x + bullet.radius, bullet.y);
-    //             workerCtx.arc(bullet.x, bullet.y, bullet.radius, 0, Math.PI * 2);
-    //         });
-    //         workerCtx.fill();
-    //     }
-    //
-    //     // Draw monster bullets
-    //     const monsterBullets = activeBullets.filter(bullet => !bullet.isPlayerBullet);
-    //     if (monsterBullets.length > 0) {
-    //         workerCtx.fillStyle = '#FF4444'; // Use a single color for all monster bullets
-    //         workerCtx.beginPath();
-    //         monsterBullets.forEach(bullet => {
-    //             workerCtx.moveTo(bullet.x + bullet.radius, bullet.y);
-    //             workerCtx.arc(bullet.x, bullet.y, bullet.radius, 0, Math.PI * 2);
-    //         });
-    //         workerCtx.fill();
-    //     }
-    // }
-
-    // Only draw active monsters
-    const activeMonsters = monsters.filter(monster => monster.isActive);
-
-    // Draw monsters - batch for better performance
-    if (activeMonsters.length > 0) {
-        // Draw monster bodies
-        workerCtx.fillStyle = '#FFFFFF';
-        workerCtx.beginPath();
-        activeMonsters.forEach(monster => {
-            workerCtx.moveTo(monster.x + monster.radius, monster.y);
-            workerCtx.arc(monster.x, monster.y, monster.radius, 0, Math.PI * 2);
-        });
-        workerCtx.fill();
-
-        // Draw health bars
-        workerCtx.fillStyle = '#333';
-        activeMonsters.forEach(monster => {
-            const healthBarWidth = monster.radius * 2;
-            const healthBarHeight = 5;
-            workerCtx.fillRect(monster.x - monster.radius, monster.y - monster.radius - 10, healthBarWidth, healthBarHeight);
-        });
-
-        workerCtx.fillStyle = '#FF0000';
-        activeMonsters.forEach(monster => {
-            const healthBarWidth = monster.radius * 2;
-            const healthBarHeight = 5;
-            workerCtx.fillRect(monster.x - monster.radius, monster.y - monster.radius - 10, healthBarWidth, healthBarHeight);
-        });
+// Draw game with optimizations, interpolating entities by alpha between the previous and current step
+function drawWorkerGame(alpha) {
+    if (workerRenderer) {
+        submitWorkerFrame(alpha);
+        return;
     }
 
-    // Draw player
-    if (player.isActive) {
-        workerCtx.fillStyle = player.color;
-        workerCtx.beginPath();
-        workerCtx.arc(player.x, player.y, player.radius, 0, Math.PI * 2);
-        workerCtx.fill();
-
-        // Draw player direction indicator
-        if (player.aimAngle !== undefined) {
-            const dirX = player.x + Math.cos(player.aimAngle) * player.radius;
-            const dirY = player.y + Math.sin(player.aimAngle) * player.radius;
-
-            workerCtx.strokeStyle = '#FFFFFF';
-            workerCtx.lineWidth = 3;
-            workerCtx.beginPath();
-            workerCtx.moveTo(player.x, player.y);
-            workerCtx.lineTo(dirX, dirY);
-            workerCtx.stroke();
-        }
-    }
+    clearWorkerCanvas();
+    drawBatchedScene(workerCtx, workerGameState, alpha);
+    drawTargetHighlight(workerCtx, workerGameState.player.target, alpha);
+    drawBossHealthBar(workerCtx, workerCanvas, workerGameState.monsterSpawner.getActiveBoss());
+    drawLevelBar(workerCtx, workerCanvas, workerGameState.player, describePowerUps(workerGameState.powerUps));
+    drawUpgradePanel(workerCtx, workerCanvas, describeChosenUpgrades(workerGameState.player));
+    drawUpgradeDraft(workerCtx, workerCanvas, describeUpgradeDraft(workerGameState.upgradeDraft, workerGameState.player));
 }
 
 // Draw game over screen
 function drawWorkerGameOver() {
-    workerCtx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    workerCtx.fillRect(0, 0, workerCanvas.width, workerCanvas.height);
+    if (workerRenderer) {
+        submitWorkerFrame(workerGameState.timestep.alpha);
+        return;
+    }
 
-    workerCtx.fillStyle = '#FF0000';
-    workerCtx.font = '48px Arial';
-    workerCtx.textAlign = 'center';
-    workerCtx.fillText('GAME OVER', workerCanvas.width / 2, workerCanvas.height / 2 - 50);
+    clearWorkerCanvas();
+    drawGameOverScreen(workerCtx, workerCanvas, workerGameState.player.score);
+}
 
-    workerCtx.fillStyle = '#FFFFFF';
-    workerCtx.font = '24px Arial';
-    workerCtx.fillText(`Final Score: ${workerGameState.player.score}`, workerCanvas.width / 2, workerCanvas.height / 2);
+// Clear canvas
+function clearWorkerCanvas() {
+    workerCtx.fillStyle = '#111';
+    workerCtx.fillRect(0, 0, workerCanvas.width, workerCanvas.height);
+}
 
-    workerCtx.font = '18px Arial';
-    workerCtx.fillText('Press R to restart', workerCanvas.width / 2, workerCanvas.height / 2 + 50);
+// Stream the frame to the render worker - it draws the game over screen itself from isGameOver
+function submitWorkerFrame(alpha) {
+    const { timings } = workerGameState;
+    timings.renderFramesSkipped = workerRenderer.submit(workerGameState, alpha) ? 0 : 1;
+    timings.renderWorkerTime = workerRenderer.drawTime;
 }
 
 // Update UI every frame - only show FPS for better performance
@@ -589,16 +458,30 @@ function updateWorkerUI() {
     // Make sure workerGameState still exists
     if (!workerGameState) return;
 
-    const { limitFrameRate, collisionProcessTime } = workerGameState;
+    const {
+        limitFrameRate, collisionProcessTime, broadphaseMode, transport, workerPoolSize, renderMode, dispatchScheduler, timings, input
+    } = workerGameState;
 
     // Only display FPS information to reduce UI updates and improve performance
     const modeText = limitFrameRate ? "LIMITED" : "UNLIMITED";
+    const broadphaseText = broadphaseMode === BROADPHASE_BRUTE_FORCE ? "BRUTE FORCE" : "SPATIAL HASH";
     const workerText = collisionProcessTime > 0 ? ` (Worker: ${collisionProcessTime.toFixed(0)}ms)` : '';
+    const cadenceText = ` - EVERY ${dispatchScheduler.cadence} FRAMES (Stale: ${dispatchScheduler.staleness.toFixed(0)}/${dispatchScheduler.maxStaleness}ms)`;
+    const transportText = transport === TRANSPORT_SHARED ? ' - SHARED' : '';
+    const poolText = workerPoolSize > 1 ? ` - ${workerPoolSize} WORKERS` : '';
+    const renderText = renderMode === RENDER_OFFSCREEN ? ` - OFFSCREEN (Render: ${timings.renderWorkerTime.toFixed(1)}ms)` : '';
+    const restartText = workerPool.restarts > 0 ?
+        ` - RESTARTS: ${workerPool.restarts} (Fallback: ${workerGameState.fallbackFrames} frames)` : '';
+    const waveText = formatWaveStatus(workerGameState.monsterSpawner.waves.getStatus());
+    const targetText = formatTargetingStatus(workerGameState.player.targetingMode);
+    const invincibleText = workerGameState.player.invincible ? ' - INVINCIBLE' : '';
+    const replayText = input.isReplaying ? ' - REPLAY' : '';
+    const seedText = ` - SEED: ${workerGameState.rng.seed}`; // Reopen with ?seed= to play the same run again
 
     // Display FPS
     const fps = workerGameState.fps || 0;
 
-    document.getElementById('fps').textContent = `FPS: ${fps} - ${modeText}${workerText}`;
+    document.getElementById('fps').textContent = `FPS: ${fps} - ${modeText} - ${broadphaseText}${transportText}${poolText}${workerText}${cadenceText}${renderText}${restartText}${waveText}${targetText}${invincibleText}${replayText}${seedText}`;
 
     // Hide other UI elements to improve performance
     document.getElementById('score').style.display = 'none';
@@ -618,6 +501,7 @@ function updateWorkerUI() {
 const workerEventHandlers = {
     keydown: null,
     keyup: null,
+    mousemove: null,
     resize: null
 };
 
@@ -635,67 +519,43 @@ function setupWorkerEventListeners() {
             return;
         }
 
+        // Movement, upgrade pick, targeting and invincibility keys become per-tick input commands
+        if (workerGameState.input.keyDown(e.key)) {
+            return;
+        }
+
         switch (e.key) {
-            case 'w':
-            case 'W':
-            case 'ArrowUp':
-                workerGameState.player.moveUp = true;
-                break;
-            case 's':
-            case 'S':
-            case 'ArrowDown':
-                workerGameState.player.moveDown = true;
-                break;
-            case 'a':
-            case 'A':
-            case 'ArrowLeft':
-                workerGameState.player.moveLeft = true;
-                break;
-            case 'd':
-            case 'D':
-            case 'ArrowRight':
-                workerGameState.player.moveRight = true;
-                break;
-            case 'u':
-            case 'U':
-                if (workerGameState.upgradePoints > 0) {
-                    if (workerGameState.player.upgradeBullet()) {
-                        workerGameState.upgradePoints--;
-                    }
-                }
-                break;
             case 'f':
             case 'F':
                 // Toggle frame rate limiting
                 toggleWorkerFrameRateLimit();
                 break;
+            case 'b':
+            case 'B':
+                // Toggle between the spatial hash and the brute-force reference broadphase
+                workerGameState.broadphaseMode = workerGameState.broadphaseMode === BROADPHASE_SPATIAL_HASH ?
+                    BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+                workerGameState.broadphase.setMode(workerGameState.broadphaseMode);
+                break;
+            case 'l':
+            case 'L':
+                // Save the input recorded so far for replay with ?replay=<file>
+                downloadInputLog(workerGameState.input.exportLog(), `input-log-worker-${workerGameState.rng.seed}.json`);
+                break;
         }
     };
 
     // Keyboard events - keyup
     workerEventHandlers.keyup = (e) => {
-        switch (e.key) {
-            case 'w':
-            case 'W':
-            case 'ArrowUp':
-                workerGameState.player.moveUp = false;
-                break;
-            case 's':
-            case 'S':
-            case 'ArrowDown':
-                workerGameState.player.moveDown = false;
-                break;
-            case 'a':
-            case 'A':
-            case 'ArrowLeft':
-                workerGameState.player.moveLeft = false;
-                break;
-            case 'd':
-            case 'D':
-            case 'ArrowRight':
-                workerGameState.player.moveRight = false;
-                break;
-        }
+        workerGameState.input.keyUp(e.key);
+    };
+
+    // The mouse aims in the mouse aim targeting mode - its position is latched into each tick's input
+    workerEventHandlers.mousemove = (e) => {
+        const rect = workerCanvas.getBoundingClientRect();
+        const size = getWorkerCanvasSize();
+        workerGameState.input.pointerMove((e.clientX - rect.left) * (size.width / rect.width),
+            (e.clientY - rect.top) * (size.height / rect.height));
     };
 
     // Window resize
@@ -704,6 +564,7 @@ function setupWorkerEventListeners() {
     // Add the event listeners
     window.addEventListener('keydown', workerEventHandlers.keydown);
     window.addEventListener('keyup', workerEventHandlers.keyup);
+    window.addEventListener('mousemove', workerEventHandlers.mousemove);
     window.addEventListener('resize', workerEventHandlers.resize);
 }
 
@@ -717,6 +578,10 @@ function removeWorkerEventListeners() {
         window.removeEventListener('keyup', workerEventHandlers.keyup);
     }
 
+    if (workerEventHandlers.mousemove) {
+        window.removeEventListener('mousemove', workerEventHandlers.mousemove);
+    }
+
     if (workerEventHandlers.resize) {
         window.removeEventListener('resize', workerEventHandlers.resize);
     }
@@ -759,5 +624,15 @@ function toggleWorkerFrameRateLimit() {
     }
 }
 
+// Load the replay log if one was requested, then start the worker game
+async function startWorkerGame() {
+    try {
+        workerReplayLog = await loadReplayFromQuery(window.location.search);
+    } catch (error) {
+        console.error(error);
+    }
+    initWorkerGame();
+}
+
 // Start the worker game when the page loads (for iframe version)
-window.addEventListener('load', initWorkerGame);
+window.addEventListener('load', startWorkerGame);
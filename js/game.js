@@ -2,12 +2,33 @@
  * Main game logic - Original Version (Non-Worker)
  */
 
+import { Broadphase, BROADPHASE_SPATIAL_HASH, BROADPHASE_BRUTE_FORCE } from './broadphase.js';
+import { InputController, loadReplayFromQuery, downloadInputLog } from './input.js';
+import { describePowerUps } from './pickups.js';
+import { SeededRandom, getSeedFromQuery } from './random.js';
+import { drawBossHealthBar, drawBulletsBatched, drawGameOverScreen, drawLevelBar, drawPickupsBatched, drawTargetHighlight, drawUpgradeDraft, drawUpgradePanel } from './render.js';
+import { createSimulationState, getTimestamp, resetStepTimings, updateGame } from './simulation.js';
+import { DEFAULT_TARGETING_MODE, formatTargetingStatus, hasTargetingMode } from './targeting.js';
+import { FixedTimestep, SIMULATION_STEPS_PER_SECOND } from './timestep.js';
+import { describeChosenUpgrades, describeUpgradeDraft } from './upgrades.js';
+import { formatWaveStatus } from './wave-director.js';
+
 // Get canvas and context
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
 
+// Input log being replayed (?replay=log.json), or null for live play
+let replayLog = null;
+
 // Set canvas size to match container
 function resizeCanvas() {
+    // A replay keeps the recorded canvas size so spawns land in the same places
+    if (replayLog) {
+        canvas.width = replayLog.canvas.width;
+        canvas.height = replayLog.canvas.height;
+        return;
+    }
+
     const container = canvas.parentElement;
     canvas.width = container.clientWidth;
     canvas.height = container.clientHeight;
@@ -15,18 +36,43 @@ function resizeCanvas() {
 
 // Initialize game
 function initGame() {
+    // Stop the previous run's game loop on restart
+    if (window.gameState) {
+        clearTimeout(gameState.timeoutId);
+        cancelAnimationFrame(gameState.animationFrameId);
+    }
+
     resizeCanvas();
 
+    // Seedable random source - ?seed=1234 reproduces a run exactly, a replay uses its recorded seed
+    const rng = new SeededRandom(replayLog ? replayLog.seed : getSeedFromQuery(window.location.search));
+
+    // ?target=weakest starts in another targeting mode, a replay in its recorded one
+    const targeting = replayLog ? replayLog.targeting : getInitialTargeting();
+
+    // ?invincible=on keeps the player alive and ?shooting=off leaves only movement and contact collisions - a replay
+    // starts the way it was recorded
+    const invincible = replayLog ? replayLog.invincible : getInitialInvincible();
+    const shooting = replayLog ? replayLog.shooting : getInitialShooting();
+
+    // ?draft=auto takes the first choice of every upgrade draft instead of pausing - a replay drafts the way it was recorded
+    const autoPickUpgrades = replayLog ? replayLog.autoPickUpgrades : getInitialAutoDraft();
+
     // Game state - make it globally accessible
     window.gameState = {
-        player: new Player(canvas.width / 2, canvas.height / 2, canvas),
-        monsters: [],
-        bullets: [],
-        monsterSpawner: new MonsterSpawner(canvas),
-        lastTime: 0,
-        isGameOver: false,
-        upgradePoints: 0,
-        upgradeThreshold: 500, // Score needed for an upgrade
+        // Player, entities, spawner and progression shared with the other versions
+        ...createSimulationState(canvas, rng, new InputController({
+            game: 'original',
+            seed: rng.seed,
+            targeting: targeting,
+            invincible: invincible,
+            shooting: shooting,
+            autoPickUpgrades: autoPickUpgrades,
+            stepsPerSecond: SIMULATION_STEPS_PER_SECOND,
+            canvas: { width: canvas.width, height: canvas.height }
+        }, replayLog)), // Per-tick player commands, recorded for replay (or read back from a replay log)
+
+        timestep: new FixedTimestep(), // Fixed-step simulation clock
 
         // FPS calculation
         frameCount: 0,
@@ -37,8 +83,8 @@ function initGame() {
         limitFrameRate: false, // Default to unlimited frame rate
         animationFrameId: null, // Store animation frame ID
 
-        // Visual effects systems
-        particleSystem: new ParticleSystem(),
+        // Collision broadphase (spatial hash, or brute force for reference benchmarks)
+        broadphase: new Broadphase(getInitialBroadphaseMode()),
 
         // Detailed timing measurements
         timings: {
@@ -48,10 +94,17 @@ function initGame() {
             monsterSpawnTime: 0,
             collisionTime: 0,
             renderTime: 0,
-            totalFrameTime: 0
+            totalFrameTime: 0,
+            simulationSteps: 0 // Fixed steps run during the last frame
         }
     };
 
+    window.gameState.player.invincible = invincible;
+    window.gameState.shootingEnabled = shooting;
+    window.gameState.autoPickUpgrades = autoPickUpgrades;
+
+    window.gameState.player.targetingMode = targeting;
+
     // Set up event listeners
     setupEventListeners(window.gameState);
 
@@ -59,10 +112,32 @@ function initGame() {
     gameLoop(getTimestamp(), window.gameState);
 }
 
-// High performance timestamp function
-const getTimestamp = () => {
-    return window.performance && window.performance.now ? window.performance.now() : Date.now();
-};
+// Broadphase mode can be picked with ?broadphase=bruteForce to benchmark against the old O(n²) scan
+function getInitialBroadphaseMode() {
+    const mode = new URLSearchParams(window.location.search).get('broadphase');
+    return mode === BROADPHASE_BRUTE_FORCE ? BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH;
+}
+
+// ?invincible=on starts with the player unable to lose health
+function getInitialInvincible() {
+    return new URLSearchParams(window.location.search).get('invincible') === 'on';
+}
+
+// ?shooting=off stops the player and monsters from firing
+function getInitialShooting() {
+    return new URLSearchParams(window.location.search).get('shooting') !== 'off';
+}
+
+// ?draft=auto picks upgrades without pausing, for perf testing
+function getInitialAutoDraft() {
+    return new URLSearchParams(window.location.search).get('draft') === 'auto';
+}
+
+// ?target=nearest|weakest|threat|cluster|mouse picks the targeting mode the player starts in
+function getInitialTargeting() {
+    const mode = new URLSearchParams(window.location.search).get('target');
+    return hasTargetingMode(mode) ? mode : DEFAULT_TARGETING_MODE;
+}
 
 // Game loop with support for both limited and unlimited frame rates
 function gameLoop(timestamp, gameState) {
@@ -72,10 +147,6 @@ function gameLoop(timestamp, gameState) {
     // If no timestamp provided (first call), use current time
     if (!timestamp) timestamp = frameStartTime;
 
-    // Calculate delta time
-    const deltaTime = (timestamp - gameState.lastTime) / 1000;
-    gameState.lastTime = timestamp;
-
     // FPS calculation
     gameState.frameCount++;
 
@@ -91,14 +162,19 @@ function gameLoop(timestamp, gameState) {
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
     if (!gameState.isGameOver) {
-        // Update game
-        updateGame(deltaTime, gameState);
+        // Update game in fixed steps - the step timings below add up over the frame
+        resetStepTimings(gameState.timings);
+        gameState.timings.simulationSteps = gameState.timestep.advance(timestamp, (stepSize, tick) => {
+            if (!gameState.isGameOver) {
+                updateGame(stepSize, gameState, gameState.input.commandForTick(tick));
+            }
+        });
 
         // Measure render time
         const renderStartTime = getTimestamp();
 
-        // Draw game
-        drawGame(gameState);
+        // Draw game between the last two steps
+        drawGame(gameState, gameState.timestep.alpha);
 
         // Calculate render time
         gameState.timings.renderTime = getTimestamp() - renderStartTime;
@@ -127,158 +203,45 @@ function gameLoop(timestamp, gameState) {
     }
 }
 
-// Update game state
-function updateGame(deltaTime, gameState) {
-    const { player, monsters, bullets, monsterSpawner } = gameState;
-
-    // Measure player update time
-    const playerStartTime = getTimestamp();
+// Draw game, interpolating entities by alpha between the previous and current step
+function drawGame(gameState, alpha) {
+    const { player, monsters, bullets, pickups } = gameState;
 
-    // Update player
-    player.update(deltaTime, monsters, bullets);
-
-    // Calculate player update time
-    gameState.timings.playerUpdateTime = getTimestamp() - playerStartTime;
-
-    // Measure monster update time
-    const monsterStartTime = getTimestamp();
-
-    // Update monsters
-    monsters.forEach(monster => {
-        monster.update(deltaTime, player, bullets);
-    });
-
-    // Calculate monster update time
-    gameState.timings.monsterUpdateTime = getTimestamp() - monsterStartTime;
-
-    // Measure bullet update time
-    const bulletStartTime = getTimestamp();
-
-    // Update bullets
-    bullets.forEach(bullet => {
-        bullet.update(deltaTime);
-    });
-
-    // Calculate bullet update time
-    gameState.timings.bulletUpdateTime = getTimestamp() - bulletStartTime;
-
-    // Measure monster spawning time
-    const spawnStartTime = getTimestamp();
-
-    // Spawn monsters
-    monsterSpawner.update(deltaTime, monsters);
-
-    // Calculate monster spawning time
-    gameState.timings.monsterSpawnTime = getTimestamp() - spawnStartTime;
-
-    // Measure collision detection time
-    const collisionStartTime = getTimestamp();
-
-    // Check for collisions
-    handleCollisions(gameState);
-
-    // Calculate collision detection time
-    gameState.timings.collisionTime = getTimestamp() - collisionStartTime;
-
-    // Clean up inactive entities
-    cleanupEntities(gameState);
-
-    // Check for game over
-    if (!player.isActive) {
-        gameState.isGameOver = true;
-    }
-
-    // Check for upgrade
-    if (player.score >= gameState.upgradeThreshold) {
-        gameState.upgradePoints++;
-        gameState.upgradeThreshold += 500;
-    }
-}
-
-// Handle collisions
-function handleCollisions(gameState) {
-    const { player, monsters, bullets } = gameState;
-
-    // Player-Monster collisions
-    monsters.forEach(monster => {
-        if (monster.isActive && player.isActive && circlesCollide(player, monster)) {
-            resolveCollision(player, monster);
-        }
-    });
-
-    // Monster-Monster collisions
-    for (let i = 0; i < monsters.length; i++) {
-        for (let j = i + 1; j < monsters.length; j++) {
-            if (monsters[i].isActive && monsters[j].isActive && circlesCollide(monsters[i], monsters[j])) {
-                resolveCollision(monsters[i], monsters[j]);
-            }
-        }
-    }
-
-    // Bullet-Monster collisions (both player bullets and monster bullets)
-    bullets.forEach(bullet => {
-        if (bullet.isActive) {
-            monsters.forEach(monster => {
-                if (monster.isActive && circlesCollide(bullet, monster)) {
-                    // Since monsters are invincible, takeDamage just returns true for scoring
-                    if (monster.takeDamage()) {
-                        // Only award score if it's a player bullet
-                        if (bullet.isPlayerBullet) {
-                            player.addScore(50);
-                        }
-                    }
-
-                    // Handle bullet piercing
-                    bullet.currentPierceCount++;
-                    if (bullet.currentPierceCount > bullet.maxPierceCount) {
-                        bullet.isActive = false;
-                    }
-                }
-            });
-        }
-    });
-
-    // Bullet-Player collisions - player is invincible but we still show visual feedback
-    bullets.forEach(bullet => {
-        if (bullet.isActive && !bullet.isPlayerBullet && player.isActive && circlesCollide(bullet, player)) {
-            player.takeDamage(0); // 0 damage, just for visual effect
-            bullet.isActive = false; // Player bullets don't pierce through player
-        }
-    });
-}
-
-// Clean up inactive entities
-function cleanupEntities(gameState) {
-    // Since monsters are now invincible, we don't need to filter them
-    // Only clean up bullets
-    gameState.bullets = gameState.bullets.filter(bullet => bullet.isActive);
-}
-
-// Draw game
-function drawGame(gameState) {
-    const { player, monsters, bullets } = gameState;
-
-    // Draw bullets
-    bullets.forEach(bullet => {
-        bullet.draw(ctx);
-    });
+    // Draw pickups and bullets - one path per color
+    drawPickupsBatched(ctx, pickups, alpha);
+    drawBulletsBatched(ctx, bullets, alpha);
 
     // Draw monsters
     monsters.forEach(monster => {
-        monster.draw(ctx);
+        monster.draw(ctx, alpha);
     });
 
+    // Ring the target over its monster
+    drawTargetHighlight(ctx, player.target, alpha);
+
     // Draw player
-    player.draw(ctx);
+    player.draw(ctx, alpha);
+
+    // Boss bar, level bar and upgrades over everything else
+    drawBossHealthBar(ctx, canvas, gameState.monsterSpawner.getActiveBoss());
+    drawLevelBar(ctx, canvas, player, describePowerUps(gameState.powerUps));
+    drawUpgradePanel(ctx, canvas, describeChosenUpgrades(player));
+    drawUpgradeDraft(ctx, canvas, describeUpgradeDraft(gameState.upgradeDraft, player));
 }
 
 // Update UI - only show FPS for better performance
 function updateUI(gameState) {
-    const { fps, limitFrameRate } = gameState;
+    const { fps, limitFrameRate, broadphase, player, input, monsterSpawner, rng } = gameState;
 
     // Only display FPS information to reduce UI updates and improve performance
     const modeText = limitFrameRate ? "LIMITED (60 FPS)" : "UNLIMITED";
-    document.getElementById('fps').textContent = `FPS: ${fps} - ${modeText}`;
+    const broadphaseText = broadphase.mode === BROADPHASE_BRUTE_FORCE ? "BRUTE FORCE" : "SPATIAL HASH";
+    const waveText = formatWaveStatus(monsterSpawner.waves.getStatus());
+    const targetText = formatTargetingStatus(player.targetingMode);
+    const invincibleText = player.invincible ? " - INVINCIBLE" : "";
+    const replayText = input.isReplaying ? " - REPLAY" : "";
+    const seedText = ` - SEED: ${rng.seed}`; // Reopen with ?seed= to play the same run again
+    document.getElementById('fps').textContent = `FPS: ${fps} - ${modeText} - ${broadphaseText}${waveText}${targetText}${invincibleText}${replayText}${seedText}`;
 
     // Hide other UI elements to improve performance
     document.getElementById('score').style.display = 'none';
@@ -296,26 +259,23 @@ function updateUI(gameState) {
 
 // Draw game over screen
 function drawGameOver(gameState) {
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    ctx.fillStyle = '#FF0000';
-    ctx.font = '48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('GAME OVER', canvas.width / 2, canvas.height / 2 - 50);
-
-    ctx.fillStyle = '#FFFFFF';
-    ctx.font = '24px Arial';
-    ctx.fillText(`Final Score: ${gameState.player.score}`, canvas.width / 2, canvas.height / 2);
-
-    ctx.font = '18px Arial';
-    ctx.fillText('Press R to restart', canvas.width / 2, canvas.height / 2 + 50);
+    drawGameOverScreen(ctx, canvas, gameState.player.score);
 }
 
+// Listeners of the current run, removed again on restart
+const eventHandlers = {
+    keydown: null,
+    keyup: null,
+    mousemove: null,
+    resize: null
+};
+
 // Set up event listeners
 function setupEventListeners(gameState) {
+    removeEventListeners();
+
     // Keyboard events
-    window.addEventListener('keydown', (e) => {
+    eventHandlers.keydown = (e) => {
         if (gameState.isGameOver) {
             if (e.key === 'r' || e.key === 'R') {
                 initGame();
@@ -323,35 +283,12 @@ function setupEventListeners(gameState) {
             return;
         }
 
+        // Movement, upgrade pick, targeting and invincibility keys become per-tick input commands
+        if (gameState.input.keyDown(e.key)) {
+            return;
+        }
+
         switch (e.key) {
-            case 'w':
-            case 'W':
-            case 'ArrowUp':
-                gameState.player.moveUp = true;
-                break;
-            case 's':
-            case 'S':
-            case 'ArrowDown':
-                gameState.player.moveDown = true;
-                break;
-            case 'a':
-            case 'A':
-            case 'ArrowLeft':
-                gameState.player.moveLeft = true;
-                break;
-            case 'd':
-            case 'D':
-            case 'ArrowRight':
-                gameState.player.moveRight = true;
-                break;
-            case 'u':
-            case 'U':
-                if (gameState.upgradePoints > 0) {
-                    if (gameState.player.upgradeBullet()) {
-                        gameState.upgradePoints--;
-                    }
-                }
-                break;
             case 'f':
             case 'F':
                 // Toggle frame rate limiting
@@ -361,39 +298,68 @@ function setupEventListeners(gameState) {
                 const modeText = gameState.limitFrameRate ? "LIMITED (60 FPS)" : "UNLIMITED";
                 document.getElementById('fps').textContent = `FPS: ${gameState.fps} - ${modeText}`;
                 break;
-        }
-    });
-
-    window.addEventListener('keyup', (e) => {
-        switch (e.key) {
-            case 'w':
-            case 'W':
-            case 'ArrowUp':
-                gameState.player.moveUp = false;
-                break;
-            case 's':
-            case 'S':
-            case 'ArrowDown':
-                gameState.player.moveDown = false;
-                break;
-            case 'a':
-            case 'A':
-            case 'ArrowLeft':
-                gameState.player.moveLeft = false;
+            case 'b':
+            case 'B':
+                // Toggle between the spatial hash and the brute-force reference broadphase
+                gameState.broadphase.setMode(gameState.broadphase.mode === BROADPHASE_SPATIAL_HASH ?
+                    BROADPHASE_BRUTE_FORCE : BROADPHASE_SPATIAL_HASH);
                 break;
-            case 'd':
-            case 'D':
-            case 'ArrowRight':
-                gameState.player.moveRight = false;
+            case 'l':
+            case 'L':
+                // Save the input recorded so far for replay with ?replay=<file>
+                downloadInputLog(gameState.input.exportLog(), `input-log-original-${gameState.rng.seed}.json`);
                 break;
         }
-    });
+    };
 
-    // No mouse events needed
+    eventHandlers.keyup = (e) => {
+        gameState.input.keyUp(e.key);
+    };
+
+    // The mouse aims in the mouse aim targeting mode - its position is latched into each tick's input
+    eventHandlers.mousemove = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        gameState.input.pointerMove((e.clientX - rect.left) * (canvas.width / rect.width),
+            (e.clientY - rect.top) * (canvas.height / rect.height));
+    };
 
     // Window resize
-    window.addEventListener('resize', resizeCanvas);
+    eventHandlers.resize = resizeCanvas;
+
+    window.addEventListener('keydown', eventHandlers.keydown);
+    window.addEventListener('keyup', eventHandlers.keyup);
+    window.addEventListener('mousemove', eventHandlers.mousemove);
+    window.addEventListener('resize', eventHandlers.resize);
+}
+
+// Remove the previous run's event listeners
+function removeEventListeners() {
+    if (eventHandlers.keydown) {
+        window.removeEventListener('keydown', eventHandlers.keydown);
+    }
+
+    if (eventHandlers.keyup) {
+        window.removeEventListener('keyup', eventHandlers.keyup);
+    }
+
+    if (eventHandlers.mousemove) {
+        window.removeEventListener('mousemove', eventHandlers.mousemove);
+    }
+
+    if (eventHandlers.resize) {
+        window.removeEventListener('resize', eventHandlers.resize);
+    }
+}
+
+// Load the replay log if one was requested, then start the game
+async function startGame() {
+    try {
+        replayLog = await loadReplayFromQuery(window.location.search);
+    } catch (error) {
+        console.error(error);
+    }
+    initGame();
 }
 
 // Start the game when the page loads (for iframe version)
-window.addEventListener('load', initGame);
+window.addEventListener('load', startGame);
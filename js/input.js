@@ -0,0 +1,232 @@
+/**
+ * Player input as per-tick commands
+ * Live keys are folded into one command bitmask per simulation tick, which can
+ * be recorded into a compact JSON log and later replayed into either version.
+ * The mouse position (for the mouse aim targeting mode) is latched once per
+ * tick the same way and logged alongside, rounded to whole pixels
+ */
+
+// Bits of a tick's command mask
+export const INPUT_UP = 1;
+export const INPUT_DOWN = 2;
+export const INPUT_LEFT = 4;
+export const INPUT_RIGHT = 8;
+export const INPUT_PICK_1 = 16; // One-shot: only set on the tick the key was pressed
+export const INPUT_PICK_2 = 32;
+export const INPUT_PICK_3 = 64;
+export const INPUT_CYCLE_TARGET = 128; // One-shot: next targeting mode
+export const INPUT_TOGGLE_INVINCIBLE = 256; // One-shot: player invincibility on or off
+
+// Draft choice each pick bit selects, in order
+export const INPUT_PICK_BITS = [INPUT_PICK_1, INPUT_PICK_2, INPUT_PICK_3];
+
+// Bump when the log layout changes
+export const INPUT_LOG_VERSION = 5;
+
+// Keys that are held down to move
+const MOVEMENT_KEY_BITS = {
+    w: INPUT_UP,
+    W: INPUT_UP,
+    ArrowUp: INPUT_UP,
+    s: INPUT_DOWN,
+    S: INPUT_DOWN,
+    ArrowDown: INPUT_DOWN,
+    a: INPUT_LEFT,
+    A: INPUT_LEFT,
+    ArrowLeft: INPUT_LEFT,
+    d: INPUT_RIGHT,
+    D: INPUT_RIGHT,
+    ArrowRight: INPUT_RIGHT
+};
+
+// Keys that queue a command for the next tick
+const COMMAND_KEY_BITS = {
+    1: INPUT_PICK_1,
+    2: INPUT_PICK_2,
+    3: INPUT_PICK_3,
+    t: INPUT_CYCLE_TARGET,
+    T: INPUT_CYCLE_TARGET,
+    i: INPUT_TOGGLE_INVINCIBLE,
+    I: INPUT_TOGGLE_INVINCIBLE
+};
+
+// Whether a key drives the simulation (movement or a queued command) rather than the page
+export function isGameplayKey(key) {
+    return MOVEMENT_KEY_BITS[key] !== undefined || COMMAND_KEY_BITS[key] !== undefined;
+}
+
+/**
+ * Records the command mask of every tick as [tick, mask] change events, and
+ * the mouse position as [tick, x, y] change events
+ */
+export class InputRecorder {
+    constructor(metadata = {}) {
+        this.metadata = metadata; // Seed, canvas size, starting invincibility, shooting and draft mode, etc. needed to replay the run
+        this.events = [];
+        this.aims = [];
+        this.lastMask = 0;
+        this.lastAim = null;
+        this.ticks = 0;
+    }
+
+    record(tick, mask, aim = null) {
+        if (mask !== this.lastMask) {
+            this.events.push([tick, mask]);
+            this.lastMask = mask;
+        }
+        if (aim && (!this.lastAim || aim.x !== this.lastAim.x || aim.y !== this.lastAim.y)) {
+            this.aims.push([tick, aim.x, aim.y]);
+            this.lastAim = aim;
+        }
+        this.ticks = tick + 1;
+    }
+
+    toJSON() {
+        return {
+            version: INPUT_LOG_VERSION,
+            ...this.metadata,
+            ticks: this.ticks,
+            events: this.events,
+            aims: this.aims
+        };
+    }
+}
+
+/**
+ * Feeds a recorded log back one tick at a time
+ */
+export class InputReplayer {
+    constructor(log) {
+        if (!log || log.version !== INPUT_LOG_VERSION || !Array.isArray(log.events) || !Array.isArray(log.aims)) {
+            throw new Error(`Unsupported input log (expected version ${INPUT_LOG_VERSION})`);
+        }
+
+        this.log = log;
+        this.eventIndex = 0;
+        this.mask = 0;
+        this.aimIndex = 0;
+        this.aim = null;
+    }
+
+    // Mask recorded for a tick - past the end of the log the player stands still and picks nothing
+    commandForTick(tick) {
+        if (this.isFinished(tick)) return 0;
+
+        const events = this.log.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= tick) {
+            this.mask = events[this.eventIndex][1];
+            this.eventIndex++;
+        }
+        return this.mask;
+    }
+
+    // Mouse position recorded for a tick, or null before the first one - call after commandForTick
+    aimForTick(tick) {
+        const aims = this.log.aims;
+        while (this.aimIndex < aims.length && aims[this.aimIndex][0] <= tick) {
+            this.aim = { x: aims[this.aimIndex][1], y: aims[this.aimIndex][2] };
+            this.aimIndex++;
+        }
+        return this.aim;
+    }
+
+    isFinished(tick) {
+        return tick >= this.log.ticks;
+    }
+}
+
+/**
+ * Single source of player commands for a game: live keys or a replayed log,
+ * with every tick's command recorded either way
+ */
+export class InputController {
+    constructor(metadata, replayLog = null) {
+        this.heldMask = 0; // Movement keys currently down
+        this.queuedMask = 0; // One-shot commands waiting for the next tick
+        this.pointer = null; // Live mouse position in canvas pixels, or null before the mouse has moved
+        this.aim = null; // Mouse position latched for the current tick
+        this.recorder = new InputRecorder(metadata);
+        this.replayer = replayLog ? new InputReplayer(replayLog) : null;
+    }
+
+    get isReplaying() {
+        return this.replayer !== null;
+    }
+
+    // Returns true if the key is a gameplay key handled here
+    keyDown(key) {
+        if (MOVEMENT_KEY_BITS[key]) {
+            this.heldMask |= MOVEMENT_KEY_BITS[key];
+            return true;
+        }
+        if (COMMAND_KEY_BITS[key]) {
+            this.queuedMask |= COMMAND_KEY_BITS[key];
+            return true;
+        }
+        return false;
+    }
+
+    keyUp(key) {
+        if (MOVEMENT_KEY_BITS[key]) {
+            this.heldMask &= ~MOVEMENT_KEY_BITS[key];
+            return true;
+        }
+        return false;
+    }
+
+    // Mouse moved to a point on the canvas - rounded so the log stays small and replays see the same value
+    pointerMove(x, y) {
+        this.pointer = { x: Math.round(x), y: Math.round(y) };
+    }
+
+    /**
+     * Command for a simulation tick - live keys and the mouse are ignored while replaying
+     * Also latches the tick's mouse position into aim, which updateGame hands to the player
+     * @param {number} tick - Simulation tick
+     * @returns {number} - Command mask
+     */
+    commandForTick(tick) {
+        let mask;
+        if (this.replayer) {
+            mask = this.replayer.commandForTick(tick);
+            this.aim = this.replayer.aimForTick(tick);
+        } else {
+            mask = this.heldMask | this.queuedMask;
+            this.queuedMask = 0;
+            this.aim = this.pointer;
+        }
+
+        this.recorder.record(tick, mask, this.aim);
+        return mask;
+    }
+
+    exportLog() {
+        return this.recorder.toJSON();
+    }
+}
+
+/**
+ * Fetch a recorded log named by the page's ?replay= query parameter
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Promise<Object|null>} - The log, or null when not replaying
+ */
+export async function loadReplayFromQuery(search) {
+    const url = new URLSearchParams(search).get('replay');
+    if (!url) return null;
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load replay ${url}: ${response.status}`);
+    }
+    return response.json();
+}
+
+// Save a recorded log as a JSON file download
+export function downloadInputLog(log, fileName) {
+    const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -1,16 +1,19 @@
 /**
  * Lighting system for visual effects and performance testing
  */
-class Light {
-    constructor(x, y, radius, color, intensity) {
+
+import { defaultRandom } from './random.js';
+
+export class Light {
+    constructor(x, y, radius, color, intensity, rng = defaultRandom) {
         this.x = x;
         this.y = y;
         this.radius = radius;
         this.color = color;
         this.intensity = intensity;
-        this.flicker = Math.random() * 0.2;
-        this.flickerSpeed = 5 + Math.random() * 5;
-        this.time = Math.random() * 1000;
+        this.flicker = rng.next() * 0.2;
+        this.flickerSpeed = 5 + rng.next() * 5;
+        this.time = rng.next() * 1000;
     }
     
     update(deltaTime) {
@@ -40,8 +43,9 @@ class Light {
     }
 }
 
-class LightingSystem {
-    constructor() {
+export class LightingSystem {
+    constructor(rng = defaultRandom) {
+        this.rng = rng; // Seedable random source for light flicker
         this.lights = [];
         this.ambientLight = 'rgba(0, 0, 0, 0.7)'; // Dark ambient light
         
@@ -56,7 +60,7 @@ class LightingSystem {
     }
     
     addLight(x, y, radius, color, intensity) {
-        this.lights.push(new Light(x, y, radius, color, intensity));
+        this.lights.push(new Light(x, y, radius, color, intensity, this.rng));
     }
     
     updateLights(deltaTime) {
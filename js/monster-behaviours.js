@@ -0,0 +1,198 @@
+/**
+ * Monster movement behaviours and shooting patterns
+ * Each behaviour moves one monster for one simulation step, and each pattern
+ * fires one volley. A monster type names both in monster-types-data.js, and
+ * reads any tuning it needs (orbit distance, charge timings, bullet count...)
+ * from its type. Neither uses timers or Math.random, so every build and the
+ * benchmark move and fire monsters the same way
+ */
+
+import { BulletFactory } from './bullet.js';
+
+// Extra gap a chaser keeps between its edge and the player's
+const CHASER_STANDOFF = 10;
+
+// Charger phases
+const CHARGER_APPROACH = 0;
+const CHARGER_WIND_UP = 1;
+const CHARGER_CHARGE = 2;
+const CHARGER_RECOVER = 3;
+
+/**
+ * Behaviours by name - register more with registerMonsterBehaviour
+ * Each is called as behaviour(monster, player, deltaTime, dx, dy, distance), where
+ * dx/dy/distance point from the monster to the player. monster.behaviourState
+ * starts out as an empty object for behaviours that need to remember anything
+ */
+export const MONSTER_BEHAVIOURS = {
+    // Walk straight at the player, stopping just short of touching
+    chaser(monster, player, deltaTime, dx, dy, distance) {
+        if (distance > monster.radius + player.radius + CHASER_STANDOFF) {
+            moveAlong(monster, dx / distance, dy / distance, monster.speed * deltaTime);
+        }
+    },
+
+    // Close in to orbitDistance at full speed, then circle the player at orbitSpeed - in the monster's orbitDirection
+    orbiter(monster, player, deltaTime, dx, dy, distance) {
+        if (distance === 0) return;
+
+        const nx = dx / distance;
+        const ny = dy / distance;
+        const direction = monster.orbitDirection;
+        const { orbitDistance, orbitSpeed } = monster.type;
+
+        // Blend the tangent with a pull towards the orbit, stronger the further off it the monster is
+        const pull = Math.max(-1, Math.min(1, (distance - orbitDistance) / orbitDistance));
+        const vx = -ny * direction * (1 - Math.abs(pull)) + nx * pull;
+        const vy = nx * direction * (1 - Math.abs(pull)) + ny * pull;
+        const length = Math.sqrt(vx * vx + vy * vy);
+        if (length > 0) {
+            const speed = orbitSpeed + (monster.speed - orbitSpeed) * Math.abs(pull);
+            moveAlong(monster, vx / length, vy / length, speed * deltaTime);
+        }
+    },
+
+    // Hold preferredDistance, backing off when the player gets closer - unless that would leave the canvas
+    kiter(monster, player, deltaTime, dx, dy, distance) {
+        if (distance === 0) return;
+
+        const { preferredDistance } = monster.type;
+        const step = monster.speed * deltaTime;
+        if (distance > preferredDistance + step) {
+            moveAlong(monster, dx / distance, dy / distance, step);
+        } else if (distance < preferredDistance - step) {
+            const x = monster.x - (dx / distance) * step;
+            const y = monster.y - (dy / distance) * step;
+            if (isInsideCanvas(monster, x, y)) {
+                monster.x = x;
+                monster.y = y;
+            }
+        }
+    },
+
+    // Walk in until within chargeRange, wind up, dash along the locked direction, then recover
+    charger(monster, player, deltaTime, dx, dy, distance) {
+        const { chargeRange, windUp, chargeSpeed, chargeTime, recovery } = monster.type;
+        const state = monster.behaviourState;
+        if (state.phase === undefined) {
+            state.phase = CHARGER_APPROACH;
+            state.timer = 0;
+        }
+        state.timer -= deltaTime * 1000;
+
+        switch (state.phase) {
+            case CHARGER_APPROACH:
+                if (distance < chargeRange) {
+                    state.phase = CHARGER_WIND_UP;
+                    state.timer = windUp;
+                } else {
+                    MONSTER_BEHAVIOURS.chaser(monster, player, deltaTime, dx, dy, distance);
+                }
+                break;
+
+            case CHARGER_WIND_UP:
+                // Stand still, then lock onto where the player is now
+                if (state.timer <= 0 && distance > 0) {
+                    state.phase = CHARGER_CHARGE;
+                    state.timer = chargeTime;
+                    state.dirX = dx / distance;
+                    state.dirY = dy / distance;
+                }
+                break;
+
+            case CHARGER_CHARGE:
+                moveAlong(monster, state.dirX, state.dirY, chargeSpeed * deltaTime);
+                if (state.timer <= 0) {
+                    state.phase = CHARGER_RECOVER;
+                    state.timer = recovery;
+                }
+                break;
+
+            case CHARGER_RECOVER:
+                MONSTER_BEHAVIOURS.chaser(monster, player, deltaTime, dx, dy, distance);
+                if (state.timer <= 0) {
+                    state.phase = CHARGER_APPROACH;
+                }
+                break;
+        }
+    }
+};
+
+/**
+ * Add a movement behaviour that monster types can name
+ * @param {string} name - Name used by the type's behaviour field
+ * @param {Function} behaviour - Called as behaviour(monster, player, deltaTime, dx, dy, distance)
+ */
+export function registerMonsterBehaviour(name, behaviour) {
+    MONSTER_BEHAVIOURS[name] = behaviour;
+}
+
+/**
+ * Shooting patterns by name - register more with registerShootingPattern
+ * Each is called as pattern(monster, angle, bullets) with the angle from the
+ * monster to the player, and pushes its volley onto bullets. The monster's
+ * current shooting definition is monster.shooting (a boss changes it with its
+ * phase), and monster.shootingState starts out empty for patterns that need
+ * to remember anything between volleys
+ */
+export const MONSTER_SHOOTING_PATTERNS = {
+    // bulletCount bullets fanned out around the aim, spread radians apart
+    aimed(monster, angle, bullets) {
+        const { bulletCount, spread } = monster.shooting;
+        const firstAngle = angle - (spread * (bulletCount - 1)) / 2;
+        for (let i = 0; i < bulletCount; i++) {
+            fireMonsterBullet(monster, firstAngle + spread * i, bullets);
+        }
+    },
+
+    // bulletCount bullets spaced evenly all the way round, the first one at the player
+    radial(monster, angle, bullets) {
+        const { bulletCount } = monster.shooting;
+        for (let i = 0; i < bulletCount; i++) {
+            fireMonsterBullet(monster, angle + (Math.PI * 2 * i) / bulletCount, bullets);
+        }
+    },
+
+    // bulletCount bullets spaced evenly all the way round, turned spread radians further each volley - ignores the player
+    spiral(monster, angle, bullets) {
+        const { bulletCount, spread } = monster.shooting;
+        const state = monster.shootingState;
+        state.angle = (state.angle || 0) + spread;
+        for (let i = 0; i < bulletCount; i++) {
+            fireMonsterBullet(monster, state.angle + (Math.PI * 2 * i) / bulletCount, bullets);
+        }
+    }
+};
+
+/**
+ * Add a shooting pattern that monster types can name
+ * @param {string} name - Name used by the type's shooting.pattern field
+ * @param {Function} pattern - Called as pattern(monster, angle, bullets)
+ */
+export function registerShootingPattern(name, pattern) {
+    MONSTER_SHOOTING_PATTERNS[name] = pattern;
+}
+
+// Fire one bullet starting outside the monster's body, so a volley does not hit its shooter
+export function fireMonsterBullet(monster, angle, bullets) {
+    const bullet = BulletFactory.createMonsterBullet(monster.x, monster.y, angle, monster.gameCanvas);
+    bullet.x += Math.cos(angle) * (monster.radius + bullet.radius);
+    bullet.y += Math.sin(angle) * (monster.radius + bullet.radius);
+    bullet.prevX = bullet.x;
+    bullet.prevY = bullet.y;
+    bullets.push(bullet);
+}
+
+function moveAlong(monster, dirX, dirY, distance) {
+    monster.x += dirX * distance;
+    monster.y += dirY * distance;
+}
+
+// Monsters spawn off screen, so only behaviours that back away check this
+function isInsideCanvas(monster, x, y) {
+    const canvas = monster.gameCanvas;
+    if (!canvas) return true;
+
+    return x >= monster.radius && x <= canvas.width - monster.radius &&
+        y >= monster.radius && y <= canvas.height - monster.radius;
+}
@@ -0,0 +1,144 @@
+/**
+ * Monster archetypes and spawn tables, read by monster-types.js
+ * A plain module rather than JSON, so loading it needs no import attributes
+ */
+
+export default {
+    "types": {
+        "chaser": {
+            "behaviour": "chaser",
+            "color": "#FFFFFF",
+            "radius": { "min": 15, "max": 25 },
+            "health": 30,
+            "healthPerDifficulty": 10,
+            "speed": 50,
+            "speedPerDifficulty": 5,
+            "contactDamage": 10,
+            "shooting": { "pattern": "aimed", "interval": 500, "bulletCount": 3, "spread": 0.2 }
+        },
+        "orbiter": {
+            "behaviour": "orbiter",
+            "color": "#66CCFF",
+            "radius": { "min": 14, "max": 18 },
+            "health": 25,
+            "healthPerDifficulty": 8,
+            "speed": 90,
+            "speedPerDifficulty": 4,
+            "contactDamage": 10,
+            "orbitDistance": 180,
+            "orbitSpeed": 50,
+            "shooting": { "pattern": "aimed", "interval": 900, "bulletCount": 1, "spread": 0 }
+        },
+        "kiter": {
+            "behaviour": "kiter",
+            "color": "#FFAA00",
+            "radius": { "min": 12, "max": 16 },
+            "health": 20,
+            "healthPerDifficulty": 6,
+            "speed": 70,
+            "speedPerDifficulty": 3,
+            "contactDamage": 5,
+            "preferredDistance": 320,
+            "shooting": { "pattern": "aimed", "interval": 400, "bulletCount": 2, "spread": 0.15 }
+        },
+        "charger": {
+            "behaviour": "charger",
+            "color": "#FF3366",
+            "radius": { "min": 20, "max": 24 },
+            "health": 50,
+            "healthPerDifficulty": 12,
+            "speed": 40,
+            "speedPerDifficulty": 3,
+            "contactDamage": 25,
+            "xp": 2,
+            "chargeRange": 260,
+            "windUp": 500,
+            "chargeSpeed": 480,
+            "chargeTime": 600,
+            "recovery": 1200,
+            "shooting": null
+        },
+        "splitter": {
+            "behaviour": "chaser",
+            "color": "#AA66FF",
+            "radius": { "min": 26, "max": 32 },
+            "health": 60,
+            "healthPerDifficulty": 15,
+            "speed": 35,
+            "speedPerDifficulty": 3,
+            "contactDamage": 15,
+            "xp": 3,
+            "split": { "type": "splitling", "count": 3 },
+            "shooting": { "pattern": "radial", "interval": 1500, "bulletCount": 8, "spread": 0 }
+        },
+        "splitling": {
+            "behaviour": "chaser",
+            "color": "#DDAAFF",
+            "radius": { "min": 9, "max": 11 },
+            "health": 10,
+            "healthPerDifficulty": 3,
+            "speed": 110,
+            "speedPerDifficulty": 5,
+            "contactDamage": 5,
+            "shooting": null
+        },
+        "warden": {
+            "behaviour": "chaser",
+            "color": "#FF8800",
+            "radius": { "min": 80, "max": 80 },
+            "health": 2000,
+            "healthPerDifficulty": 100,
+            "speed": 30,
+            "speedPerDifficulty": 0.5,
+            "contactDamage": 40,
+            "killScore": 5000,
+            "xp": 25,
+            "boss": {
+                "name": "The Warden",
+                "phases": [
+                    { "untilHealth": 0.6, "shooting": { "pattern": "radial", "interval": 1200, "bulletCount": 24, "spread": 0 } },
+                    { "untilHealth": 0.3, "shooting": { "pattern": "spiral", "interval": 100, "bulletCount": 3, "spread": 0.3 } },
+                    {
+                        "untilHealth": 0,
+                        "shooting": { "pattern": "radial", "interval": 700, "bulletCount": 32, "spread": 0 },
+                        "summon": { "type": "chaser", "count": 4, "interval": 3000 }
+                    }
+                ]
+            }
+        },
+        "hive": {
+            "behaviour": "kiter",
+            "color": "#66FF66",
+            "radius": { "min": 70, "max": 70 },
+            "health": 2500,
+            "healthPerDifficulty": 120,
+            "speed": 45,
+            "speedPerDifficulty": 0.5,
+            "contactDamage": 30,
+            "preferredDistance": 350,
+            "killScore": 6000,
+            "xp": 25,
+            "boss": {
+                "name": "The Hive",
+                "phases": [
+                    {
+                        "untilHealth": 0.5,
+                        "shooting": { "pattern": "aimed", "interval": 600, "bulletCount": 5, "spread": 0.15 },
+                        "summon": { "type": "splitling", "count": 6, "interval": 4000 }
+                    },
+                    {
+                        "untilHealth": 0,
+                        "shooting": { "pattern": "spiral", "interval": 60, "bulletCount": 4, "spread": -0.2 },
+                        "summon": { "type": "orbiter", "count": 3, "interval": 5000 }
+                    }
+                ]
+            }
+        }
+    },
+    "spawnTables": [
+        { "minDifficulty": 1, "weights": { "chaser": 1 } },
+        { "minDifficulty": 5, "weights": { "chaser": 6, "orbiter": 2, "charger": 1 } },
+        { "minDifficulty": 10, "weights": { "chaser": 5, "orbiter": 2, "kiter": 2, "charger": 2, "splitter": 1 } },
+        { "minDifficulty": 20, "weights": { "chaser": 3, "orbiter": 3, "kiter": 3, "charger": 3, "splitter": 2 } }
+    ]
+};
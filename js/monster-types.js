@@ -0,0 +1,144 @@
+/**
+ * Monster type registry
+ * Archetypes - size, health, speed, color, shooting pattern and movement
+ * behaviour - and the weighted spawn tables that choose between them by
+ * difficulty are loaded from monster-types-data.js. A boss type also lists its
+ * attack phases - waves-data.js says when bosses come. Types are numbered in
+ * registration order, so threads that only exchange numbers can send a
+ * monster's type as its index
+ */
+
+import { MONSTER_BEHAVIOURS, MONSTER_SHOOTING_PATTERNS } from './monster-behaviours.js';
+import definitions from './monster-types-data.js';
+
+// Type used when a monster is created without one
+export const DEFAULT_MONSTER_TYPE = 'chaser';
+
+const typesByName = new Map();
+const typesByIndex = [];
+
+// Spawn tables sorted by minDifficulty, each with its weights resolved to types
+let spawnTables = [];
+
+/**
+ * Add a monster type, or replace the definition of one with the same name (keeping its index)
+ * @param {string} name - Name used by spawn tables and splits
+ * @param {Object} definition - Type fields as in monster-types-data.js
+ * @returns {Object} - The registered type, with name and index added
+ * @throws {Error} - If the definition, or one of its boss phases, names an unknown behaviour or shooting pattern
+ */
+export function registerMonsterType(name, definition) {
+    if (!MONSTER_BEHAVIOURS[definition.behaviour]) {
+        throw new Error(`Monster type ${name}: unknown behaviour ${definition.behaviour}`);
+    }
+    checkShooting(name, definition.shooting);
+    if (definition.boss) {
+        definition.boss.phases.forEach(phase => checkShooting(name, phase.shooting));
+    }
+
+    const existing = typesByName.get(name);
+    const type = { ...definition, name: name, index: existing ? existing.index : typesByIndex.length };
+    typesByName.set(name, type);
+    typesByIndex[type.index] = type;
+    return type;
+}
+
+function checkShooting(name, shooting) {
+    if (shooting && !MONSTER_SHOOTING_PATTERNS[shooting.pattern]) {
+        throw new Error(`Monster type ${name}: unknown shooting pattern ${shooting.pattern}`);
+    }
+}
+
+/**
+ * Look up a registered type by name
+ * @param {string} name - Type name
+ * @returns {Object} - The type
+ * @throws {Error} - If no type has that name
+ */
+export function getMonsterType(name) {
+    const type = typesByName.get(name);
+    if (!type) {
+        throw new Error(`Unknown monster type: ${name}`);
+    }
+    return type;
+}
+
+// Look up a type by the index a snapshot or render frame carries
+export function getMonsterTypeByIndex(index) {
+    return typesByIndex[index];
+}
+
+/**
+ * Replace the spawn tables
+ * @param {Array} tables - { minDifficulty, weights: { typeName: weight } } entries, in any order
+ * @throws {Error} - If a table names an unknown type or has no positive weight
+ */
+export function setSpawnTables(tables) {
+    spawnTables = tables
+        .map(table => {
+            const entries = Object.entries(table.weights)
+                .filter(([, weight]) => weight > 0)
+                .map(([name, weight]) => ({ type: getMonsterType(name), weight: weight }));
+            if (entries.length === 0) {
+                throw new Error(`Spawn table for difficulty ${table.minDifficulty} has no positive weights`);
+            }
+
+            return {
+                minDifficulty: table.minDifficulty,
+                entries: entries,
+                totalWeight: entries.reduce((total, entry) => total + entry.weight, 0)
+            };
+        })
+        .sort((a, b) => a.minDifficulty - b.minDifficulty);
+}
+
+/**
+ * Pick the type of the next spawn from the table for this difficulty
+ * @param {number} difficulty - Spawner difficulty
+ * @param {SeededRandom} rng - Random source - not drawn from when the table has a single type
+ * @returns {Object} - The chosen type
+ */
+export function pickMonsterType(difficulty, rng) {
+    // The last table the difficulty has reached, or the first one below every threshold
+    let table = spawnTables[0];
+    for (const candidate of spawnTables) {
+        if (candidate.minDifficulty <= difficulty) table = candidate;
+    }
+
+    const { entries, totalWeight } = table;
+    if (entries.length === 1) return entries[0].type;
+
+    let roll = rng.next() * totalWeight;
+    for (const entry of entries) {
+        roll -= entry.weight;
+        if (roll < 0) return entry.type;
+    }
+    return entries[entries.length - 1].type;
+}
+
+/**
+ * Register every type of a definitions file, then its spawn tables
+ * @param {Object} data - { types: { name: definition }, spawnTables: [...] }, as in monster-types-data.js
+ * @throws {Error} - If a definition or table is invalid, or a split or summon names an unknown type
+ */
+export function loadMonsterTypes(data) {
+    Object.entries(data.types).forEach(([name, definition]) => {
+        registerMonsterType(name, definition);
+    });
+
+    // Splits and summons can name types defined later in the file, so check them once all are in
+    typesByName.forEach(type => {
+        if (type.split) getMonsterType(type.split.type);
+        if (type.boss) {
+            type.boss.phases.forEach(phase => {
+                if (phase.summon) getMonsterType(phase.summon.type);
+            });
+        }
+    });
+
+    if (data.spawnTables) {
+        setSpawnTables(data.spawnTables);
+    }
+}
+
+loadMonsterTypes(definitions);
@@ -1,44 +1,81 @@
 /**
  * Monster class
  */
-class Monster {
-    constructor(x, y, radius, health, speed, color, gameCanvas = null) {
+
+import { nextEntityId } from './entity-id.js';
+import { MONSTER_BEHAVIOURS, MONSTER_SHOOTING_PATTERNS } from './monster-behaviours.js';
+import { DEFAULT_MONSTER_TYPE, getMonsterType } from './monster-types.js';
+import { defaultRandom } from './random.js';
+import { lerp } from './timestep.js';
+import { WaveDirector } from './wave-director.js';
+
+// Score for the player bullet that kills a monster, on top of the score for the hit - types can set their own killScore
+export const MONSTER_KILL_SCORE = 100;
+
+// XP of the gem a monster drops when the player kills it - types can set their own xp
+export const MONSTER_XP = 1;
+
+export class Monster {
+    /**
+     * @param {Object} type - Registered monster type (see monster-types.js) - its behaviour, shooting and
+     *                        contact damage; the rolled size, health, speed and color are passed separately
+     */
+    constructor(x, y, radius, health, speed, color, gameCanvas = null, type = getMonsterType(DEFAULT_MONSTER_TYPE)) {
+        this.id = nextEntityId(); // Stable ID used to match worker results
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for interpolation
+        this.prevY = y;
         this.radius = radius;
         this.health = health;
         this.maxHealth = health;
         this.speed = speed;
         this.color = color;
         this.isActive = true;
-        this.shootCooldown = 0;
-        this.shootInterval = 500; // Even faster shooting (500ms)
         this.mass = radius * 2; // Mass for collision resolution
-        this.bulletCount = 3; // Shoot multiple bullets at once
         this.gameCanvas = gameCanvas; // Store reference to the canvas
+
+        // Archetype
+        this.type = type;
+        this.typeIndex = type.index; // Sent instead of the color to threads that only draw
+        this.contactDamage = type.contactDamage; // Damage to the player on touch
+        this.killScore = type.killScore !== undefined ? type.killScore : MONSTER_KILL_SCORE;
+        this.xp = type.xp !== undefined ? type.xp : MONSTER_XP;
+        this.isBoss = false;
+        this.wave = 0; // Wave that spawned this monster, 0 for none
+        this.behaviourState = {}; // Per-monster memory of the movement behaviour
+        this.orbitDirection = 1; // 1 or -1, which way circling behaviours go round the player - rolled by the spawner
+
+        // Shooting - types without a shooting pattern never fire
+        this.shootCooldown = 0;
+        this.shootingState = {}; // Per-monster memory of the shooting pattern
+        this.setShooting(type.shooting);
     }
 
-    update(deltaTime, player, bullets) {
+    // Switch to a shooting definition from monster-types-data.js, or stop firing with null
+    setShooting(shooting) {
+        this.shooting = shooting || null;
+        this.shootInterval = shooting ? shooting.interval : 0;
+        this.bulletCount = shooting ? shooting.bulletCount : 0; // Bullets per volley
+    }
+
+    update(deltaTime, player, bullets, shootingEnabled = true) {
         if (!this.isActive) return;
 
-        // Move towards player
+        // Move the way the type's behaviour says
         const dx = player.x - this.x;
         const dy = player.y - this.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
+        MONSTER_BEHAVIOURS[this.type.behaviour](this, player, deltaTime, dx, dy, distance);
 
-        // Only move if not too close to player
-        if (distance > this.radius + player.radius + 10) {
-            this.x += (dx / distance) * this.speed * deltaTime;
-            this.y += (dy / distance) * this.speed * deltaTime;
-        }
-
-        // 暂时禁用怪物的子弹功能
-        this.shootCooldown -= deltaTime * 1000;
-        if (this.shootCooldown <= 0) {
-            // // Calculate angle to player
-            // const angle = Math.atan2(dy, dx);
-            // bullets.push(BulletFactory.createMonsterBullet(this.x, this.y, angle, this.gameCanvas));
-            this.shootCooldown = this.shootInterval;
+        if (this.shooting) {
+            this.shootCooldown -= deltaTime * 1000;
+            if (this.shootCooldown <= 0) {
+                if (shootingEnabled) {
+                    MONSTER_SHOOTING_PATTERNS[this.shooting.pattern](this, Math.atan2(dy, dx), bullets);
+                }
+                this.shootCooldown = this.shootInterval;
+            }
         }
 
         // Check if monster is dead
@@ -47,13 +84,17 @@ class Monster {
         }
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (!this.isActive) return;
 
+        // Interpolate between the last two simulation steps
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+
         // Draw monster body
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fill();
 
         // Draw health bar
@@ -62,18 +103,26 @@ class Monster {
         const healthPercentage = this.health / this.maxHealth;
 
         ctx.fillStyle = '#333';
-        ctx.fillRect(this.x - this.radius, this.y - this.radius - 10, healthBarWidth, healthBarHeight);
+        ctx.fillRect(x - this.radius, y - this.radius - 10, healthBarWidth, healthBarHeight);
 
         ctx.fillStyle = '#FF0000';
-        ctx.fillRect(this.x - this.radius, this.y - this.radius - 10, healthBarWidth * healthPercentage, healthBarHeight);
+        ctx.fillRect(x - this.radius, y - this.radius - 10, healthBarWidth * healthPercentage, healthBarHeight);
     }
 
-    takeDamage() {
-        // Monster is invincible, but we'll show a visual effect
-        // this.flashEffect();
+    /**
+     * Lose health, dying at zero
+     * @param {number} amount - Damage dealt
+     * @returns {boolean} - True if this damage killed the monster
+     */
+    takeDamage(amount) {
+        if (!this.isActive) return false;
 
-        // Still award score to player when hit
-        return true; // Return true to indicate a successful hit for scoring
+        this.health -= amount;
+        if (this.health <= 0) {
+            this.isActive = false;
+            return true;
+        }
+        return false;
     }
 
     flashEffect() {
@@ -92,117 +141,213 @@ class Monster {
     }
 }
 
+/**
+ * Boss monster
+ * A large monster whose type lists attack phases (see monster-types-data.js).
+ * It moves like any monster with its behaviour, but switches shooting
+ * pattern - and starts or stops summoning adds - each time its health drops
+ * past a phase's untilHealth fraction. Summons are only requested here, the
+ * spawner creates them
+ */
+export class Boss extends Monster {
+    constructor(x, y, radius, health, speed, color, gameCanvas, type) {
+        super(x, y, radius, health, speed, color, gameCanvas, type);
+        this.isBoss = true;
+        this.name = type.boss.name;
+        this.phases = type.boss.phases;
+        this.phaseCount = this.phases.length;
+        this.phase = 0;
+        this.summonTimer = 0;
+        this.pendingSummon = null; // Summon definition waiting for the spawner
+        this.enterPhase(0);
+    }
+
+    update(deltaTime, player, bullets, shootingEnabled = true) {
+        if (!this.isActive) return;
+
+        // One big hit can skip a phase
+        const phase = this.phaseForHealth();
+        if (phase !== this.phase) {
+            this.enterPhase(phase);
+        }
+
+        super.update(deltaTime, player, bullets, shootingEnabled);
+
+        const { summon } = this.phases[this.phase];
+        if (summon && this.isActive) {
+            this.summonTimer -= deltaTime * 1000;
+            if (this.summonTimer <= 0) {
+                this.pendingSummon = summon;
+                this.summonTimer = summon.interval;
+            }
+        }
+    }
+
+    // Index of the first phase whose untilHealth the boss is still above - the last phase runs until death
+    phaseForHealth() {
+        const fraction = this.health / this.maxHealth;
+        for (let i = this.phase; i < this.phaseCount - 1; i++) {
+            if (fraction > this.phases[i].untilHealth) return i;
+        }
+        return this.phaseCount - 1;
+    }
+
+    // Start a phase's attacks straight away, including its first summon
+    enterPhase(index) {
+        this.phase = index;
+        this.setShooting(this.phases[index].shooting);
+        this.shootCooldown = 0;
+        this.shootingState = {};
+        this.summonTimer = 0;
+    }
+
+    draw(ctx, alpha = 1) {
+        if (!this.isActive) return;
+
+        // Interpolate between the last two simulation steps
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // An outline instead of the small health bar - drawBossHealthBar shows it at the top of the canvas
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+}
+
 /**
  * Monster spawner
+ * Creates monsters for the wave director (see wave-director.js), which
+ * decides what comes when, and raises the difficulty that scales their
+ * health and speed and picks types from the spawn tables (see
+ * monster-types-data.js)
  */
-class MonsterSpawner {
-    constructor(canvas) {
+export class MonsterSpawner {
+    /**
+     * @param {Object} canvas - Canvas (or a stub with width and height) monsters spawn around
+     * @param {SeededRandom} rng - Seedable random source for spawn positions, types, sizes and orbit directions
+     * @param {Object} waveScript - Wave script in the shape of waves-data.js, defaults to that file
+     */
+    constructor(canvas, rng = defaultRandom, waveScript = undefined) {
         this.canvas = canvas;
-        this.spawnInterval = 50; // Even faster spawning (50ms)
-        this.spawnTimer = 0;
+        this.rng = rng;
         this.difficultyTimer = 0;
-        this.difficultyInterval = 1000; // Increase difficulty every second
+        this.difficultyInterval = 1000; // Increase difficulty every second of fighting
         this.difficulty = 1;
-        this.maxMonstersOnScreen = 500; // Allow even more monsters on screen
-        this.spawnBatchSize = 50; // Spawn even more monsters at once
-        this.totalMonstersSpawned = 0; // Track total monsters spawned
-        this.maxTotalMonsters = 500; // Maximum total monsters to spawn
 
-        // Calculate parameters to spawn all monsters in 10 seconds
-        // 500 monsters in 10 seconds = 50 monsters per second
-        this.targetSpawnTime = 10000; // 10 seconds in ms
-        this.spawnRate = this.maxTotalMonsters / (this.targetSpawnTime / 1000); // Monsters per second
+        // Bosses come with their wave, so there is at most one at a time
+        this.boss = null; // Last boss spawned, alive or not
+        this.bossesSpawned = 0;
 
-        // Timer for tracking spawn duration
-        this.spawnStartTime = Date.now();
-        this.spawnDuration = 0; // Will be updated during spawning
-        this.spawnComplete = false;
+        this.waves = new WaveDirector(this, waveScript);
     }
 
     update(deltaTime, monsters) {
-        // Check if we've reached the total monster limit
-        if (this.totalMonstersSpawned >= this.maxTotalMonsters) {
-            // If this is the first time we've reached the limit, record the duration
-            if (!this.spawnComplete) {
-                this.spawnDuration = (Date.now() - this.spawnStartTime) / 1000; // Convert to seconds
-                this.spawnComplete = true;
-                console.log(`All ${this.maxTotalMonsters} monsters spawned in ${this.spawnDuration.toFixed(2)} seconds`);
-            }
-            return; // Stop spawning if we've reached the limit
-        }
-
-        // Calculate how many monsters to spawn this frame to maintain our target rate
-        const monstersToSpawnThisFrame = Math.ceil(this.spawnRate * deltaTime);
-
-        // Only spawn if we haven't reached the maximum number of monsters on screen
-        if (monsters.length < this.maxMonstersOnScreen) {
-            // Spawn timer - much faster now
-            this.spawnTimer += deltaTime * 1000;
-            if (this.spawnTimer >= this.spawnInterval) {
-                // Spawn a large batch of monsters at once
-                const batchSize = Math.min(
-                    this.spawnBatchSize,
-                    this.maxTotalMonsters - this.totalMonstersSpawned,
-                    this.maxMonstersOnScreen - monsters.length,
-                    monstersToSpawnThisFrame
-                );
-
-                // Spawn the calculated batch size
-                for (let i = 0; i < batchSize; i++) {
-                    this.spawnMonster(monsters);
-                    this.totalMonstersSpawned++;
-                }
+        this.waves.update(deltaTime, monsters);
 
-                this.spawnTimer = 0;
+        // Difficulty rises while a wave is being fought, not during the breaks
+        if (!this.waves.inBreak) {
+            this.difficultyTimer += deltaTime * 1000;
+            if (this.difficultyTimer >= this.difficultyInterval) {
+                this.increaseDifficulty();
+                this.difficultyTimer = 0;
             }
         }
+    }
 
-        // Difficulty timer - increase difficulty more frequently
-        this.difficultyTimer += deltaTime * 1000;
-        if (this.difficultyTimer >= this.difficultyInterval) {
-            this.increaseDifficulty();
-            this.difficultyTimer = 0;
-        }
+    // Spawn a boss far enough outside the canvas that it walks in whole
+    spawnBoss(monsters, type) {
+        const { x, y } = this.pickEdgePosition(type.radius.max + 10);
+        this.boss = this.createMonster(type, x, y);
+        this.bossesSpawned++;
+        monsters.push(this.boss);
+        return this.boss;
+    }
+
+    // The boss in play, or null between bosses
+    getActiveBoss() {
+        return this.boss && this.boss.isActive ? this.boss : null;
     }
 
-    spawnMonster(monsters) {
-        // Determine spawn position (outside the canvas)
+    // Random position on a random side of the canvas, offset outside it
+    pickEdgePosition(offset) {
         let x, y;
-        const side = Math.floor(Math.random() * 4); // 0: top, 1: right, 2: bottom, 3: left
+        const side = this.rng.int(4); // 0: top, 1: right, 2: bottom, 3: left
 
         switch (side) {
             case 0: // Top
-                x = Math.random() * this.canvas.width;
-                y = -30;
+                x = this.rng.next() * this.canvas.width;
+                y = -offset;
                 break;
             case 1: // Right
-                x = this.canvas.width + 30;
-                y = Math.random() * this.canvas.height;
+                x = this.canvas.width + offset;
+                y = this.rng.next() * this.canvas.height;
                 break;
             case 2: // Bottom
-                x = Math.random() * this.canvas.width;
-                y = this.canvas.height + 30;
+                x = this.rng.next() * this.canvas.width;
+                y = this.canvas.height + offset;
                 break;
             case 3: // Left
-                x = -30;
-                y = Math.random() * this.canvas.height;
+                x = -offset;
+                y = this.rng.next() * this.canvas.height;
                 break;
         }
+        return { x: x, y: y };
+    }
 
-        // Create monster with properties based on difficulty
-        const radius = 15 + Math.random() * 10;
-        const health = 30 + (this.difficulty * 10);
-        const speed = 50 + (this.difficulty * 5);
-        // Use white color for all monsters to match the original version
-        const color = '#FFFFFF';
+    /**
+     * Create a monster of a type, scaled by the current difficulty
+     * @param {Object} type - Registered monster type
+     * @param {number} x - Spawn position
+     * @param {number} y - Spawn position
+     * @returns {Monster} - The new monster
+     */
+    createMonster(type, x, y) {
+        const radius = type.radius.min + this.rng.next() * (type.radius.max - type.radius.min);
+        const health = type.health + (this.difficulty * type.healthPerDifficulty);
+        const speed = type.speed + (this.difficulty * type.speedPerDifficulty);
 
-        monsters.push(new Monster(x, y, radius, health, speed, color, this.canvas));
+        const MonsterClass = type.boss ? Boss : Monster;
+        const monster = new MonsterClass(x, y, radius, health, speed, type.color, this.canvas, type);
+        monster.orbitDirection = this.rng.next() < 0.5 ? 1 : -1;
+        return monster;
+    }
+
+    // Add the split children of monsters that died this step and the adds bosses have summoned
+    spawnChildren(monsters) {
+        const parents = monsters.filter(monster => (!monster.isActive && monster.type.split) || monster.pendingSummon);
+        parents.forEach(parent => {
+            if (!parent.isActive && parent.type.split) {
+                this.spawnAround(monsters, parent, parent.type.split);
+            }
+            if (parent.pendingSummon) {
+                if (parent.isActive) {
+                    this.spawnAround(monsters, parent, parent.pendingSummon);
+                }
+                parent.pendingSummon = null;
+            }
+        });
+    }
+
+    // Spawn count monsters of a type evenly around the edge of another - they belong to its wave
+    spawnAround(monsters, parent, { type, count }) {
+        const childType = getMonsterType(type);
+        for (let i = 0; i < count; i++) {
+            const angle = (Math.PI * 2 * i) / count;
+            const x = parent.x + Math.cos(angle) * parent.radius;
+            const y = parent.y + Math.sin(angle) * parent.radius;
+            const child = this.createMonster(childType, x, y);
+            child.wave = parent.wave;
+            monsters.push(child);
+        }
     }
 
     increaseDifficulty() {
         this.difficulty++;
-        this.spawnInterval = Math.max(50, this.spawnInterval - 10); // Reduce to minimum 50ms
-        this.spawnBatchSize = Math.min(50, this.spawnBatchSize + 5); // Increase batch size more aggressively
-        this.maxMonstersOnScreen = Math.min(300, this.maxMonstersOnScreen + 20); // Allow more monsters on screen
     }
 }
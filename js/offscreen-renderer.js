@@ -0,0 +1,88 @@
+/**
+ * Offscreen rendering for the worker version
+ * The page transfers its canvas to a render worker (render-worker-thread.js)
+ * and streams it one compact frame per main-thread frame, so the main thread
+ * keeps only the simulation step, input and the DOM UI. Frame buffers are
+ * pooled ping-pong style, and a frame is skipped while the render worker is
+ * still drawing the last one instead of queueing behind it
+ */
+
+import { BufferPool } from './buffer-pool.js';
+import { serializeRenderFrame } from './worker-protocol.js';
+
+export const RENDER_MAIN_THREAD = 'main';
+export const RENDER_OFFSCREEN = 'offscreen';
+
+// Whether a canvas can be handed to a worker at all
+export function isOffscreenRenderingAvailable() {
+    return typeof OffscreenCanvas !== 'undefined' &&
+        typeof HTMLCanvasElement !== 'undefined' &&
+        'transferControlToOffscreen' in HTMLCanvasElement.prototype;
+}
+
+export class OffscreenRenderer {
+    /**
+     * Take over a canvas - it must not have a rendering context yet, and its size can
+     * only be changed through resize from now on
+     * @param {HTMLCanvasElement} canvas - Canvas to transfer to the render worker
+     * @param {boolean} bufferPool - False to allocate a fresh buffer for every frame
+     */
+    constructor(canvas, bufferPool = true) {
+        this.size = { width: canvas.width, height: canvas.height }; // Drawing buffer size, read by the simulation
+        this.framePool = new BufferPool(bufferPool);
+        this.busy = false; // True while a frame is being drawn
+        this.drawTime = 0; // Render worker's time for the last frame drawn
+        this.skippedFrames = 0; // Frames not sent because the render worker was busy
+
+        const offscreen = canvas.transferControlToOffscreen();
+        this.worker = new Worker('js/render-worker-thread.js', { type: 'module' });
+        this.worker.onmessage = e => this.handleMessage(e.data);
+        this.worker.onerror = e => this.handleError(e);
+        this.worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    }
+
+    // Resize the drawing buffer the render worker owns
+    resize(width, height) {
+        this.size.width = width;
+        this.size.height = height;
+        this.worker.postMessage({ type: 'resize', width: width, height: height });
+    }
+
+    /**
+     * Send the render worker a frame to draw
+     * @param {Object} gameState - Game state with player, monsters, bullets and isGameOver
+     * @param {number} alpha - Interpolation factor between the last two steps
+     * @returns {boolean} - False if the frame was skipped because the last one is still being drawn
+     */
+    submit(gameState, alpha) {
+        if (this.busy) {
+            this.skippedFrames++;
+            return false;
+        }
+
+        const { buffer, byteLength } = serializeRenderFrame(gameState, alpha, this.framePool);
+        this.busy = true;
+        this.worker.postMessage({ type: 'frame', buffer: buffer, byteLength: byteLength }, [buffer]);
+        return true;
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'frameDrawn':
+                this.framePool.release(message.buffer);
+                this.drawTime = message.drawTime;
+                this.busy = false;
+                break;
+
+            case 'error':
+                console.error(`Render worker error${message.code ? ` (${message.code})` : ''}:`, message.error);
+                break;
+        }
+    }
+
+    // An uncaught error in the render worker - the frame it was drawing is still handed back, so only report it
+    handleError(event) {
+        event.preventDefault();
+        console.error('Render worker error:', event.message);
+    }
+}
@@ -1,8 +1,11 @@
 /**
  * Particle system for visual effects and performance testing
  */
-class Particle {
-    constructor(x, y, vx, vy, size, color, life, gravity = 0) {
+
+import { defaultRandom } from './random.js';
+
+export class Particle {
+    constructor(x, y, vx, vy, size, color, life, gravity = 0, rng = defaultRandom) {
         this.x = x;
         this.y = y;
         this.vx = vx;
@@ -17,8 +20,8 @@ class Particle {
         this.gravity = gravity;
         
         // Add some random rotation for more complex rendering
-        this.rotation = Math.random() * Math.PI * 2;
-        this.rotationSpeed = (Math.random() - 0.5) * 0.2;
+        this.rotation = rng.next() * Math.PI * 2;
+        this.rotationSpeed = (rng.next() - 0.5) * 0.2;
     }
     
     update(deltaTime) {
@@ -74,8 +77,9 @@ class Particle {
     }
 }
 
-class ParticleSystem {
-    constructor() {
+export class ParticleSystem {
+    constructor(rng = defaultRandom) {
+        this.rng = rng; // Seedable random source shared by every particle
         this.particles = [];
         this.maxParticles = 5000; // Very high number for performance testing
     }
@@ -86,8 +90,8 @@ class ParticleSystem {
             if (this.particles.length >= this.maxParticles) break;
             
             // Calculate random velocity
-            const angle = Math.random() * Math.PI * 2;
-            const magnitude = Math.random() * speed;
+            const angle = this.rng.next() * Math.PI * 2;
+            const magnitude = this.rng.next() * speed;
             const vx = Math.cos(angle) * magnitude;
             const vy = Math.sin(angle) * magnitude;
             
@@ -97,10 +101,11 @@ class ParticleSystem {
                 y, 
                 vx, 
                 vy, 
-                size * (0.5 + Math.random()), 
+                size * (0.5 + this.rng.next()), 
                 color, 
-                life * (0.5 + Math.random()), 
-                50 // Add gravity for more complex movement
+                life * (0.5 + this.rng.next()), 
+                50, // Add gravity for more complex movement
+                this.rng
             );
             
             this.particles.push(particle);
@@ -113,12 +118,12 @@ class ParticleSystem {
             if (this.particles.length >= this.maxParticles) break;
             
             // Calculate random offset
-            const offsetX = (Math.random() - 0.5) * 5;
-            const offsetY = (Math.random() - 0.5) * 5;
+            const offsetX = (this.rng.next() - 0.5) * 5;
+            const offsetY = (this.rng.next() - 0.5) * 5;
             
             // Calculate velocity (opposite to bullet direction)
-            const vx = -bullet.vx * 0.1 + (Math.random() - 0.5) * 20;
-            const vy = -bullet.vy * 0.1 + (Math.random() - 0.5) * 20;
+            const vx = -bullet.vx * 0.1 + (this.rng.next() - 0.5) * 20;
+            const vy = -bullet.vy * 0.1 + (this.rng.next() - 0.5) * 20;
             
             // Create particle
             const particle = new Particle(
@@ -126,9 +131,11 @@ class ParticleSystem {
                 bullet.y + offsetY, 
                 vx, 
                 vy, 
-                bullet.radius * 0.8 * Math.random(), 
+                bullet.radius * 0.8 * this.rng.next(), 
                 bullet.isPlayerBullet ? '#00FFFF' : '#FF4444', 
-                0.3 * Math.random()
+                0.3 * this.rng.next(),
+                0,
+                this.rng
             );
             
             this.particles.push(particle);
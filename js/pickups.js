@@ -0,0 +1,262 @@
+/**
+ * Pickups
+ * Monsters killed by the player drop an XP gem worth their type's xp, and
+ * sometimes one rare pickup: a health orb, a power-up or a magnet bomb.
+ * Pickups drift towards the player once inside its magnet radius (the
+ * player's pickupRadius) and are collected by the collision code - the
+ * original handleCollisions, or the collision worker, which reports the IDs
+ * it collected. Kinds are numbered in registration order like upgrades, so
+ * threads that only exchange numbers can send a pickup's kind as an index.
+ * Power-ups run for a duration from collection; picking one up again while it
+ * runs only restarts its clock
+ */
+
+import { nextEntityId } from './entity-id.js';
+
+// Pixels per second a pickup starts drifting at, and how fast that grows, so it always catches a running player
+const DRIFT_SPEED = 150;
+const DRIFT_ACCELERATION = 600;
+
+// Spread of the drops of one kill around the monster's center
+const DROP_SCATTER = 12;
+
+const kindsById = new Map();
+const kindsByIndex = [];
+
+export class Pickup {
+    constructor(x, y, kind, value = 0) {
+        this.id = nextEntityId(); // Stable ID used to match worker results
+        this.x = x;
+        this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for interpolation
+        this.prevY = y;
+        this.kind = kind;
+        this.kindIndex = kind.index; // Sent instead of the kind to threads that only draw
+        this.radius = kind.radius;
+        this.color = kind.color;
+        this.value = value; // XP of a gem
+        this.lifetime = kind.lifetime; // Seconds until it disappears uncollected
+        this.isActive = true;
+        this.attracted = false; // Drifting to the player - stays so once inside the magnet radius, or after a magnet bomb
+        this.driftSpeed = DRIFT_SPEED;
+    }
+
+    update(deltaTime, player) {
+        const dx = player.x - this.x;
+        const dy = player.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (!this.attracted && distance <= player.pickupRadius) {
+            this.attracted = true;
+        }
+
+        // Pickups on their way in never expire
+        if (!this.attracted) {
+            this.lifetime -= deltaTime;
+            if (this.lifetime <= 0) {
+                this.isActive = false;
+            }
+            return;
+        }
+
+        // Stop on the player's center rather than overshoot - collection happens on contact
+        const step = Math.min(distance, this.driftSpeed * deltaTime);
+        if (distance > 0) {
+            this.x += (dx / distance) * step;
+            this.y += (dy / distance) * step;
+        }
+        this.driftSpeed += DRIFT_ACCELERATION * deltaTime;
+    }
+}
+
+/**
+ * Add a pickup kind, or replace the one with the same ID (keeping its index)
+ * @param {string} id - Name the kind is looked up by
+ * @param {Object} definition - { name, color, radius, lifetime, dropChance, collect(gameState, pickup) }, plus duration,
+ *                              start(gameState) and end(gameState) for a power-up; dropChance is per kill, at most
+ *                              one rare kind drops per kill
+ * @returns {Object} - The registered kind, with id and index added
+ * @throws {Error} - If a power-up has no positive duration
+ */
+export function registerPickupKind(id, definition) {
+    if (definition.start && !(definition.duration > 0)) {
+        throw new Error(`Pickup kind ${id}: a power-up needs a positive duration (got ${definition.duration})`);
+    }
+
+    const existing = kindsById.get(id);
+    const kind = { dropChance: 0, ...definition, id: id, index: existing ? existing.index : kindsByIndex.length };
+    kindsById.set(id, kind);
+    kindsByIndex[kind.index] = kind;
+    return kind;
+}
+
+/**
+ * Look up a registered pickup kind
+ * @param {string} id - Registered ID
+ * @returns {Object} - The kind
+ * @throws {Error} - If no kind has that ID
+ */
+export function getPickupKind(id) {
+    const kind = kindsById.get(id);
+    if (!kind) {
+        throw new Error(`Unknown pickup kind: ${id}`);
+    }
+    return kind;
+}
+
+// Look up a pickup kind by the index a snapshot or render frame carries
+export function getPickupKindByIndex(index) {
+    return kindsByIndex[index];
+}
+
+/**
+ * Drop what a monster leaves behind when the player kills it
+ * @param {Object} gameState - Game state with the pickups list and rng
+ * @param {Monster} monster - The monster that died
+ */
+export function dropPickups(gameState, monster) {
+    const { pickups, rng } = gameState;
+    pickups.push(createDrop(monster, getPickupKind('xp'), monster.xp, rng));
+
+    // One roll picks at most one rare drop - each kind takes its dropChance of the range in turn
+    let roll = rng.next();
+    for (let i = 0; i < kindsByIndex.length; i++) {
+        const kind = kindsByIndex[i];
+        if (roll < kind.dropChance) {
+            pickups.push(createDrop(monster, kind, 0, rng));
+            break;
+        }
+        roll -= kind.dropChance;
+    }
+
+    // Bosses always leave a magnet bomb, to sweep up the gems of their fight
+    if (monster.isBoss) {
+        pickups.push(createDrop(monster, getPickupKind('magnetBomb'), 0, rng));
+    }
+}
+
+/**
+ * Collect a pickup - called by the collision code when the player touches it
+ * @param {Object} gameState - Game state with the player
+ * @param {Pickup} pickup - The pickup touched
+ * @returns {boolean} - False if it was already collected or gone
+ */
+export function collectPickup(gameState, pickup) {
+    if (!pickup.isActive) return false;
+
+    pickup.isActive = false;
+    pickup.kind.collect(gameState, pickup);
+    return true;
+}
+
+/**
+ * Count the running power-ups down, ending the ones that run out
+ * @param {Object} gameState - Game state with powerUps, seconds left by kind ID
+ * @param {number} deltaTime - Step size in seconds
+ */
+export function updatePowerUps(gameState, deltaTime) {
+    const { powerUps } = gameState;
+    Object.keys(powerUps).forEach(id => {
+        powerUps[id] -= deltaTime;
+        if (powerUps[id] <= 0) {
+            delete powerUps[id];
+            getPickupKind(id).end(gameState);
+        }
+    });
+}
+
+// Running power-ups for the HUD, in the order they were picked up
+export function describePowerUps(powerUps) {
+    return Object.keys(powerUps).map(id => describePowerUp(getPickupKind(id), powerUps[id]));
+}
+
+// What the HUD shows for a running power-up
+export function describePowerUp(kind, timeLeft) {
+    return { name: kind.name, color: kind.color, timeLeft: timeLeft };
+}
+
+// A pickup of a kind scattered a little around the monster, so the drops of one kill do not stack exactly
+function createDrop(monster, kind, value, rng) {
+    return new Pickup(monster.x + rng.range(-DROP_SCATTER, DROP_SCATTER), monster.y + rng.range(-DROP_SCATTER, DROP_SCATTER),
+        kind, value);
+}
+
+// Start a power-up, or restart its clock if it is already running
+function startPowerUp(gameState, kind) {
+    if (!(kind.id in gameState.powerUps)) {
+        kind.start(gameState);
+    }
+    gameState.powerUps[kind.id] = kind.duration;
+}
+
+// Built-in kinds - the XP gem is always dropped, the others by dropChance
+registerPickupKind('xp', {
+    name: 'XP Gem',
+    color: '#33FF99',
+    radius: 5,
+    lifetime: 30,
+    collect(gameState, pickup) {
+        gameState.upgradePoints += gameState.player.addXp(pickup.value);
+    }
+});
+
+registerPickupKind('health', {
+    name: 'Health Orb',
+    color: '#FF5577',
+    radius: 8,
+    lifetime: 12,
+    dropChance: 0.04,
+    collect(gameState) {
+        const { player } = gameState;
+        player.health = Math.min(player.maxHealth, player.health + 25);
+    }
+});
+
+registerPickupKind('doubleDamage', {
+    name: 'Double Damage',
+    color: '#FF9900',
+    radius: 9,
+    lifetime: 12,
+    dropChance: 0.015,
+    duration: 10,
+    collect(gameState, pickup) {
+        startPowerUp(gameState, pickup.kind);
+    },
+    start(gameState) {
+        gameState.player.damageMultiplier *= 2;
+    },
+    end(gameState) {
+        gameState.player.damageMultiplier /= 2;
+    }
+});
+
+registerPickupKind('freeze', {
+    name: 'Freeze',
+    color: '#99EEFF',
+    radius: 9,
+    lifetime: 12,
+    dropChance: 0.01,
+    duration: 4,
+    collect(gameState, pickup) {
+        startPowerUp(gameState, pickup.kind);
+    },
+    start(gameState) {
+        gameState.monstersFrozen = true;
+    },
+    end(gameState) {
+        gameState.monstersFrozen = false;
+    }
+});
+
+// Pulls every pickup on the canvas in
+registerPickupKind('magnetBomb', {
+    name: 'Magnet Bomb',
+    color: '#CC66FF',
+    radius: 9,
+    lifetime: 12,
+    dropChance: 0.01,
+    collect(gameState) {
+        gameState.pickups.forEach(pickup => {
+            pickup.attracted = true;
+        });
+    }
+});
@@ -1,10 +1,35 @@
 /**
  * Player class
  */
-class Player {
+
+import { BulletFactory } from './bullet.js';
+import { INPUT_UP, INPUT_DOWN, INPUT_LEFT, INPUT_RIGHT, INPUT_CYCLE_TARGET, INPUT_TOGGLE_INVINCIBLE } from './input.js';
+import { DEFAULT_TARGETING_MODE, TargetIndex, getTargetingMode, leadAngle, nextTargetingMode } from './targeting.js';
+import { lerp } from './timestep.js';
+import { createWeapon } from './weapons.js';
+
+// Player body color, also used by pages that only receive the player's position
+export const PLAYER_COLOR = '#00FF00';
+
+// Body color while the player flashes after a hit
+export const PLAYER_FLASH_COLOR = '#FFFFFF';
+
+// Seconds after a hit before the player can be hurt again
+const PLAYER_INVULNERABILITY_SECONDS = 0.5;
+
+// Seconds the player flashes after a hit
+const PLAYER_FLASH_SECONDS = 0.1;
+
+// XP from level 1 to 2 - every level after needs LEVEL_XP_GROWTH times the one before, so drafts pause the game less and less often
+const FIRST_LEVEL_XP = 5;
+const LEVEL_XP_GROWTH = 1.5;
+
+export class Player {
     constructor(x, y, gameCanvas) {
         this.x = x;
         this.y = y;
+        this.prevX = x; // Position at the previous simulation step, for interpolation
+        this.prevY = y;
         this.radius = 20;
         this.speed = 200;
         this.health = 100;
@@ -12,82 +37,67 @@ class Player {
         this.bulletLevel = 1;
         this.maxBulletLevel = 5;
         this.score = 0;
-        this.shootCooldown = 0;
-        this.shootInterval = 150; // Faster shooting (was 300ms)
+        this.level = 1;
+        this.xp = 0; // XP towards the next level
+        this.xpToNextLevel = FIRST_LEVEL_XP;
+        this.weapons = [createWeapon('blaster')]; // Each fires on its own cooldown - see weapons.js
         this.isActive = true;
         this.mass = 50; // Mass for collision resolution
-        this.color = '#00FF00'; // Player color
+        this.color = PLAYER_COLOR; // Player color
         this.gameCanvas = gameCanvas; // Store reference to the canvas
 
+        // Damage
+        this.invincible = false; // Hits still flash but deal no damage - for perf testing
+        this.invulnerableTime = 0; // Seconds left before the next hit can land
+        this.flashTime = 0; // Seconds left of the hit flash
+
         // Movement
         this.moveUp = false;
         this.moveDown = false;
         this.moveLeft = false;
         this.moveRight = false;
 
-        // Aiming
+        // Aiming - see targeting.js
         this.aimAngle = 0;
-
-        // Add direct keyboard controls to the player
-        this.setupDirectControls();
+        this.targetingMode = DEFAULT_TARGETING_MODE;
+        this.target = null; // Monster the weapons aim at, or null
+        this.aimPoint = null; // Mouse position for the mouse aim mode, or null before the mouse has moved
+        this.targetIndex = new TargetIndex(); // Monsters indexed for this step's target queries
+
+        // Upgrade stats - see upgrades.js for how each stack changes them
+        this.upgrades = {}; // Stacks picked, by upgrade ID
+        this.projectileCount = 1; // Blaster bullets per shot
+        this.pierceBonus = 0;
+        this.bulletSpeedMultiplier = 1;
+        this.fireRateMultiplier = 1; // Scales every weapon's interval
+        this.damageMultiplier = 1; // Scales the damage of every bullet fired - the double damage power-up doubles it
+        this.pickupRadius = 100; // Magnet radius pickups start drifting in from
     }
 
-    setupDirectControls() {
-        // Add keyboard event listeners directly to the player
-        window.addEventListener('keydown', (e) => {
-            switch (e.key) {
-                case 'w':
-                case 'W':
-                case 'ArrowUp':
-                    this.moveUp = true;
-                    break;
-                case 's':
-                case 'S':
-                case 'ArrowDown':
-                    this.moveDown = true;
-                    break;
-                case 'a':
-                case 'A':
-                case 'ArrowLeft':
-                    this.moveLeft = true;
-                    break;
-                case 'd':
-                case 'D':
-                case 'ArrowRight':
-                    this.moveRight = true;
-                    break;
-            }
-        });
+    // Apply one tick's command mask and mouse position (live input or a replayed log)
+    applyInput(command, aimPoint = null) {
+        this.moveUp = (command & INPUT_UP) !== 0;
+        this.moveDown = (command & INPUT_DOWN) !== 0;
+        this.moveLeft = (command & INPUT_LEFT) !== 0;
+        this.moveRight = (command & INPUT_RIGHT) !== 0;
+        this.aimPoint = aimPoint;
 
-        window.addEventListener('keyup', (e) => {
-            switch (e.key) {
-                case 'w':
-                case 'W':
-                case 'ArrowUp':
-                    this.moveUp = false;
-                    break;
-                case 's':
-                case 'S':
-                case 'ArrowDown':
-                    this.moveDown = false;
-                    break;
-                case 'a':
-                case 'A':
-                case 'ArrowLeft':
-                    this.moveLeft = false;
-                    break;
-                case 'd':
-                case 'D':
-                case 'ArrowRight':
-                    this.moveRight = false;
-                    break;
-            }
-        });
+        if (command & INPUT_CYCLE_TARGET) {
+            this.targetingMode = nextTargetingMode(this.targetingMode);
+        }
+        if (command & INPUT_TOGGLE_INVINCIBLE) {
+            this.invincible = !this.invincible;
+        }
     }
 
-    update(deltaTime, monsters, bullets) {
+    update(deltaTime, monsters, bullets, shootingEnabled = true) {
         if (!this.isActive) return;
 
+        // Hit flash and invulnerability count down with the simulation instead of timers
+        this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+        this.flashTime = Math.max(0, this.flashTime - deltaTime);
+        this.color = this.flashTime > 0 ? PLAYER_FLASH_COLOR : PLAYER_COLOR;
+
         // Calculate movement
         let dx = 0;
         let dy = 0;
@@ -114,100 +124,104 @@ class Player {
             this.y = Math.max(this.radius, Math.min(this.gameCanvas.height - this.radius, this.y));
         }
 
-        // Find the nearest active monster
-        let nearestMonster = null;
-        let nearestDistance = Infinity;
+        // Pick a target the way the targeting mode says
+        const mode = getTargetingMode(this.targetingMode);
+        this.targetIndex.build(monsters);
+        this.target = mode.select(this.targetIndex, this);
+
+        // Aim at the mouse, or where a blaster bullet would meet the target
+        if (mode.aimsAtPointer && this.aimPoint) {
+            this.aimAngle = Math.atan2(this.aimPoint.y - this.y, this.aimPoint.x - this.x);
+        } else if (this.target) {
+            this.aimAngle = leadAngle(this.x, this.y, this.target,
+                BulletFactory.getPlayerBulletSpeed(this.bulletLevel, this.bulletSpeedMultiplier), deltaTime);
+        }
 
-        for (const monster of monsters) {
-            if (monster.isActive) {
-                const monsterDx = monster.x - this.x;
-                const monsterDy = monster.y - this.y;
-                const distance = Math.sqrt(monsterDx * monsterDx + monsterDy * monsterDy);
+        // Every weapon fires on its own cooldown (only if there's a monster to target)
+        const firstNewBullet = bullets.length;
+        this.weapons.forEach(weapon => {
+            weapon.update(deltaTime, this, this.target, monsters, bullets, shootingEnabled);
+        });
 
-                if (distance < nearestDistance) {
-                    nearestDistance = distance;
-                    nearestMonster = monster;
-                }
+        // Power-ups scale whatever the weapons fired this step
+        if (this.damageMultiplier !== 1) {
+            for (let i = firstNewBullet; i < bullets.length; i++) {
+                bullets[i].damage *= this.damageMultiplier;
             }
         }
+    }
 
-        // Update aim angle to target the nearest monster
-        if (nearestMonster) {
-            const targetDx = nearestMonster.x - this.x;
-            const targetDy = nearestMonster.y - this.y;
-            this.aimAngle = Math.atan2(targetDy, targetDx);
-        }
-
-        // Shooting logic
-        this.shootCooldown -= deltaTime * 1000;
-
-        // Auto-shooting (only if there's a monster to target)
-        if (this.shootCooldown <= 0 && nearestMonster) {
-            this.shoot(bullets);
-        }
+    // Hold another weapon alongside the ones already held
+    addWeapon(weapon) {
+        this.weapons.push(weapon);
     }
 
-    shoot(bullets) {
-        // 暂时禁用子弹功能
-        // if (this.shootCooldown <= 0) {
-        //     bullets.push(BulletFactory.createPlayerBullet(this.x, this.y, this.aimAngle, this.bulletLevel, this.gameCanvas));
-        //     this.shootCooldown = this.shootInterval;
-        // }
-        this.shootCooldown = this.shootInterval; // 重置冷却时间，但不创建子弹
+    // The held weapon of a kind, or null
+    getWeapon(kind) {
+        return this.weapons.find(weapon => weapon.kind === kind) || null;
     }
 
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (!this.isActive) return;
 
+        // Interpolate between the last two simulation steps
+        const x = lerp(this.prevX, this.x, alpha);
+        const y = lerp(this.prevY, this.y, alpha);
+
         // Draw player body
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(x, y, this.radius, 0, Math.PI * 2);
         ctx.fill();
 
         // Draw player direction indicator (only if we have an aim angle)
         if (this.aimAngle !== undefined) {
-            const dirX = this.x + Math.cos(this.aimAngle) * this.radius;
-            const dirY = this.y + Math.sin(this.aimAngle) * this.radius;
+            const dirX = x + Math.cos(this.aimAngle) * this.radius;
+            const dirY = y + Math.sin(this.aimAngle) * this.radius;
 
             ctx.strokeStyle = '#FFFFFF';
             ctx.lineWidth = 3;
             ctx.beginPath();
-            ctx.moveTo(this.x, this.y);
+            ctx.moveTo(x, y);
             ctx.lineTo(dirX, dirY);
             ctx.stroke();
         }
 
-        // Since player is invincible, we don't need a health bar
-        // But we'll keep a small indicator to show the player is invincible
+        // Health bar - a full yellow bar while invincible
         const barWidth = this.radius * 2;
         const barHeight = 4;
 
         ctx.fillStyle = '#333';
-        ctx.fillRect(this.x - this.radius, this.y - this.radius - 10, barWidth, barHeight);
+        ctx.fillRect(x - this.radius, y - this.radius - 10, barWidth, barHeight);
 
-        ctx.fillStyle = '#FFFF00'; // Yellow for invincibility
-        ctx.fillRect(this.x - this.radius, this.y - this.radius - 10, barWidth, barHeight);
+        const healthPercentage = this.invincible ? 1 : this.health / this.maxHealth;
+        ctx.fillStyle = this.invincible ? '#FFFF00' : '#00FF00'; // Yellow for invincibility
+        ctx.fillRect(x - this.radius, y - this.radius - 10, barWidth * healthPercentage, barHeight);
     }
 
-    takeDamage() {
-        // Player is invincible, so no damage is taken
-        // But we'll flash the player to indicate a hit
-        // this.flashEffect();
+    /**
+     * Take a hit, dying at zero health
+     * @param {number} amount - Damage dealt
+     * @returns {boolean} - True if the hit landed, false during the invulnerability window
+     */
+    takeDamage(amount) {
+        if (!this.isActive || this.invulnerableTime > 0) return false;
+
+        this.invulnerableTime = PLAYER_INVULNERABILITY_SECONDS;
+        this.flashEffect();
+        if (this.invincible) return true;
+
+        this.health = Math.max(0, this.health - amount);
+        if (this.health <= 0) {
+            this.isActive = false;
+        }
+        return true;
     }
 
+    // Visual feedback when hit - update() switches the color back once flashTime runs out
     flashEffect() {
-        // // Visual feedback when hit (without taking damage)
-        // const originalColor = '#00FF00';
-        // const flashColor = '#FFFFFF';
-
-        // // Store the original color
-        // this.color = flashColor;
-
-        // // Reset color after a short delay
-        // setTimeout(() => {
-        //     this.color = originalColor;
-        // }, 100);
+        this.flashTime = PLAYER_FLASH_SECONDS;
+        this.color = PLAYER_FLASH_COLOR;
     }
 
     upgradeBullet() {
@@ -221,4 +235,21 @@ class Player {
     addScore(points) {
         this.score += points;
     }
+
+    /**
+     * Gain XP, levelling up as often as it fills the level bar
+     * @param {number} amount - XP gained
+     * @returns {number} - Levels gained, each worth an upgrade point
+     */
+    addXp(amount) {
+        this.xp += amount;
+        let levels = 0;
+        while (this.xp >= this.xpToNextLevel) {
+            this.xp -= this.xpToNextLevel;
+            this.xpToNextLevel = Math.round(this.xpToNextLevel * LEVEL_XP_GROWTH);
+            this.level++;
+            levels++;
+        }
+        return levels;
+    }
 }
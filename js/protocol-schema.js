@@ -0,0 +1,220 @@
+/**
+ * Declarative binary message schemas
+ * A schema lists a message's fields once; createCodec turns it into an
+ * encoder and a validating decoder, so adding a field to an entity is a
+ * one-line schema change on both sides of the worker boundary
+ *
+ * Every message starts with a uint32 header:
+ *   [magic, protocol version, message type, byte length, count of each section...]
+ * followed by the top-level fields, the records (single objects such as the
+ * player) and finally the sections (arrays of entities). Every field is one
+ * 4-byte word, read through a Float32Array or Uint32Array view of the buffer
+ */
+
+// 'MNST' - identifies a buffer as one of ours
+export const PROTOCOL_MAGIC = 0x4D4E5354;
+
+// Bump when any schema changes - both sides must agree exactly
+export const PROTOCOL_VERSION = 17;
+
+// Field types
+export const FIELD_F32 = 'f32';
+export const FIELD_U32 = 'u32';
+export const FIELD_BOOL = 'bool'; // Sent as a uint32 0 or 1
+
+// Header words before the per-section counts
+const HEADER_WORDS = 4;
+const WORD_BYTES = 4;
+
+// How each field type is written to and read from the buffer views
+const FIELD_TYPES = {
+    [FIELD_F32]: {
+        write: (views, offset, value) => { views.f32[offset] = value; },
+        read: (views, offset) => views.f32[offset]
+    },
+    [FIELD_U32]: {
+        write: (views, offset, value) => { views.u32[offset] = value; },
+        read: (views, offset) => views.u32[offset]
+    },
+    [FIELD_BOOL]: {
+        write: (views, offset, value) => { views.u32[offset] = value ? 1 : 0; },
+        read: (views, offset) => views.u32[offset] !== 0
+    }
+};
+
+/**
+ * Raised when a buffer does not match the schema it is decoded with
+ * The code says what was wrong, so the other side can report it without parsing the message
+ */
+export class ProtocolError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProtocolError';
+        this.code = code; // BAD_BUFFER, BAD_MAGIC, VERSION_MISMATCH, WRONG_MESSAGE, TRUNCATED or LENGTH_MISMATCH
+    }
+}
+
+/**
+ * Build an encoder and decoder from a message schema
+ * @param {Object} schema - { name, type, fields, records, sections }, where fields is a list of
+ *                          [name, type] pairs, records maps names to such lists, and so do sections
+ * @returns {{encode: Function, decode: Function}} - Codec for the message
+ */
+export function createCodec(schema) {
+    const fields = compileFields(schema.fields || []);
+    const records = compileGroups(schema.records || {});
+    const sections = compileGroups(schema.sections || {});
+
+    const headerWords = HEADER_WORDS + sections.length;
+    const fixedWords = headerWords + fields.length + records.reduce((sum, record) => sum + record.fields.length, 0);
+
+    return {
+        /**
+         * Encode a message into a pooled buffer, or a new, exactly sized one
+         * @param {Object} message - Top-level fields, records and section arrays by name
+         * @param {Object} filters - Optional predicates by section name; entries failing them are skipped
+         * @param {BufferPool} pool - Optional pool to take the buffer from (it may be larger than needed)
+         * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded message
+         */
+        encode(message, filters = {}, pool = null) {
+            // Count first, so the header always matches what is written
+            const counts = sections.map(section => countEntries(message[section.name], filters[section.name]));
+            const words = counts.reduce((sum, count, i) => sum + count * sections[i].fields.length, fixedWords);
+            const byteLength = words * WORD_BYTES;
+
+            const buffer = pool ? pool.acquire(byteLength) : new ArrayBuffer(byteLength);
+            const views = { f32: new Float32Array(buffer, 0, words), u32: new Uint32Array(buffer, 0, words) };
+
+            // Header
+            views.u32[0] = PROTOCOL_MAGIC;
+            views.u32[1] = PROTOCOL_VERSION;
+            views.u32[2] = schema.type;
+            views.u32[3] = byteLength;
+            counts.forEach((count, i) => { views.u32[HEADER_WORDS + i] = count; });
+
+            // Body
+            let offset = writeFields(views, headerWords, fields, message);
+            records.forEach(record => {
+                offset = writeFields(views, offset, record.fields, message[record.name]);
+            });
+            sections.forEach(section => {
+                const filter = filters[section.name];
+                message[section.name].forEach(entry => {
+                    if (!filter || filter(entry)) {
+                        offset = writeFields(views, offset, section.fields, entry);
+                    }
+                });
+            });
+
+            return { buffer, byteLength };
+        },
+
+        /**
+         * Validate a buffer against the schema and decode it
+         * @param {ArrayBuffer|SharedArrayBuffer} buffer - Buffer produced by encode (bytes past the header's byte length are ignored)
+         * @returns {Object} - Top-level fields, records and section arrays by name
+         * @throws {ProtocolError} - If the buffer is not a well-formed message of this type
+         */
+        decode(buffer) {
+            if (!isBuffer(buffer) || buffer.byteLength < headerWords * WORD_BYTES) {
+                throw new ProtocolError('BAD_BUFFER', `${schema.name}: expected a buffer of at least ${headerWords * WORD_BYTES} bytes`);
+            }
+
+            // Check the header before viewing the rest - only the declared bytes are viewed, so the buffer
+            // itself may be any size, whole words or not
+            const header = new Uint32Array(buffer, 0, HEADER_WORDS);
+            validateHeader(schema, header, buffer.byteLength, headerWords * WORD_BYTES);
+            const declaredWords = header[3] / WORD_BYTES;
+            const views = { f32: new Float32Array(buffer, 0, declaredWords), u32: new Uint32Array(buffer, 0, declaredWords) };
+
+            // The counts must account for exactly the declared byte length
+            const counts = sections.map((section, i) => views.u32[HEADER_WORDS + i]);
+            const words = counts.reduce((sum, count, i) => sum + count * sections[i].fields.length, fixedWords);
+            if (words * WORD_BYTES !== views.u32[3]) {
+                throw new ProtocolError('LENGTH_MISMATCH',
+                    `${schema.name}: section counts ${counts.join('/')} need ${words * WORD_BYTES} bytes, header says ${views.u32[3]}`);
+            }
+
+            const message = {};
+            let offset = readFields(views, headerWords, fields, message);
+            records.forEach(record => {
+                message[record.name] = {};
+                offset = readFields(views, offset, record.fields, message[record.name]);
+            });
+            sections.forEach((section, i) => {
+                const entries = new Array(counts[i]);
+                for (let j = 0; j < counts[i]; j++) {
+                    entries[j] = {};
+                    offset = readFields(views, offset, section.fields, entries[j]);
+                }
+                message[section.name] = entries;
+            });
+
+            return message;
+        }
+    };
+}
+
+// Messages can live in a transferred ArrayBuffer or in shared memory
+function isBuffer(buffer) {
+    return buffer instanceof ArrayBuffer ||
+        (typeof SharedArrayBuffer !== 'undefined' && buffer instanceof SharedArrayBuffer);
+}
+
+// Check the fixed header words against the schema and the real buffer size
+function validateHeader(schema, header, bufferByteLength, minByteLength) {
+    if (header[0] !== PROTOCOL_MAGIC) {
+        throw new ProtocolError('BAD_MAGIC', `${schema.name}: bad magic number 0x${header[0].toString(16)}`);
+    }
+    if (header[1] !== PROTOCOL_VERSION) {
+        throw new ProtocolError('VERSION_MISMATCH', `${schema.name}: protocol version ${header[1]}, expected ${PROTOCOL_VERSION}`);
+    }
+    if (header[2] !== schema.type) {
+        throw new ProtocolError('WRONG_MESSAGE', `${schema.name}: message type ${header[2]}, expected ${schema.type}`);
+    }
+    if (header[3] % WORD_BYTES !== 0 || header[3] < minByteLength) {
+        throw new ProtocolError('LENGTH_MISMATCH',
+            `${schema.name}: header says ${header[3]} bytes, expected whole words and at least ${minByteLength}`);
+    }
+    if (header[3] > bufferByteLength) {
+        throw new ProtocolError('TRUNCATED', `${schema.name}: header says ${header[3]} bytes, buffer has ${bufferByteLength}`);
+    }
+}
+
+// Turn [name, type] pairs into field descriptors with their read/write functions
+function compileFields(fieldList) {
+    return fieldList.map(([name, type]) => {
+        if (!FIELD_TYPES[type]) {
+            throw new Error(`Unknown field type "${type}" for field "${name}"`);
+        }
+        return { name, ...FIELD_TYPES[type] };
+    });
+}
+
+function compileGroups(groups) {
+    return Object.keys(groups).map(name => ({ name, fields: compileFields(groups[name]) }));
+}
+
+function countEntries(entries, filter) {
+    if (!filter) return entries.length;
+
+    let count = 0;
+    entries.forEach(entry => {
+        if (filter(entry)) count++;
+    });
+    return count;
+}
+
+function writeFields(views, offset, fields, source) {
+    for (let i = 0; i < fields.length; i++) {
+        fields[i].write(views, offset++, source[fields[i].name]);
+    }
+    return offset;
+}
+
+function readFields(views, offset, fields, target) {
+    for (let i = 0; i < fields.length; i++) {
+        target[fields[i].name] = fields[i].read(views, offset++);
+    }
+    return offset;
+}
@@ -0,0 +1,63 @@
+/**
+ * Seedable pseudo-random number generator
+ * Every gameplay system takes one of these instead of calling Math.random(),
+ * so a run can be reproduced exactly from its seed
+ */
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Pick a fresh seed when none was requested
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Turn any seed text into a 32-bit seed (numbers are used as-is)
+    static parseSeed(text) {
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for word seeds like ?seed=cliff
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Next float in [0, 1) - mulberry32
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, count)
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+}
+
+// Shared fallback for code that is not handed a generator explicitly
+export const defaultRandom = new SeededRandom();
+
+/**
+ * Read the seed from a page's ?seed= query parameter
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {number|undefined} - Parsed seed, or undefined when none is given
+ */
+export function getSeedFromQuery(search) {
+    const seed = new URLSearchParams(search).get('seed');
+    return seed ? SeededRandom.parseSeed(seed) : undefined;
+}
@@ -0,0 +1,74 @@
+/**
+ * Web Worker Thread for rendering
+ * Owns the worker version's canvas once the page has transferred it with
+ * transferControlToOffscreen, and draws the frames the main thread streams to
+ * it. Each frame buffer is handed straight back for the next frame, with the
+ * time the draw took
+ */
+
+import { PROTOCOL_VERSION, ProtocolError } from './protocol-schema.js';
+import { drawBatchedScene, drawBossHealthBar, drawGameOverScreen, drawLevelBar, drawTargetHighlight, drawUpgradeDraft, drawUpgradePanel } from './render.js';
+import { getTimestamp } from './simulation.js';
+import { deserializeRenderFrame } from './worker-protocol.js';
+
+let canvas = null;
+let ctx = null;
+
+// Message handler
+self.onmessage = function(e) {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'init':
+            canvas = message.canvas;
+            ctx = canvas.getContext('2d');
+            break;
+
+        case 'resize':
+            canvas.width = message.width;
+            canvas.height = message.height;
+            break;
+
+        case 'frame':
+            drawFrame(message.buffer);
+            break;
+
+        default:
+            self.postMessage({
+                type: 'error',
+                code: 'UNKNOWN_MESSAGE',
+                error: `Unknown message type: ${message.type}`,
+                protocolVersion: PROTOCOL_VERSION
+            });
+            break;
+    }
+};
+
+// Decode and draw one frame, then hand its buffer back - even if drawing throws, so the page is never stuck waiting
+function drawFrame(buffer) {
+    const startTime = getTimestamp();
+
+    try {
+        const frame = deserializeRenderFrame(buffer);
+
+        // Clear canvas
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (frame.isGameOver) {
+            drawGameOverScreen(ctx, canvas, frame.player.score);
+        } else {
+            drawBatchedScene(ctx, frame, frame.alpha);
+            drawTargetHighlight(ctx, frame.target, frame.alpha);
+            drawBossHealthBar(ctx, canvas, frame.boss);
+            drawLevelBar(ctx, canvas, frame.player, frame.powerUps);
+            drawUpgradePanel(ctx, canvas, frame.upgrades);
+            drawUpgradeDraft(ctx, canvas, frame.draft);
+        }
+    } catch (error) {
+        if (!(error instanceof ProtocolError)) throw error;
+        self.postMessage({ type: 'error', code: error.code, error: error.message, protocolVersion: PROTOCOL_VERSION });
+    } finally {
+        self.postMessage({ type: 'frameDrawn', buffer: buffer, drawTime: getTimestamp() - startTime }, [buffer]);
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Canvas drawing shared by the game pages
+ * The batched scene draws monsters with one path per color instead of a fill
+ * per monster, for the versions that measure how much the UI thread can be
+ * freed up. Bullets and pickups are batched by color in every version
+ */
+
+import { lerp } from './timestep.js';
+
+/**
+ * Draw the game with batched canvas calls, interpolating entities by alpha between the previous and current step
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Object} scene - Player, monsters, bullets and pickups, each with x/y and prevX/prevY, monsters also with
+ *                         health/maxHealth and color, and bullets and pickups with color
+ * @param {number} alpha - Interpolation factor between the last two steps
+ */
+export function drawBatchedScene(ctx, scene, alpha) {
+    const { player, monsters, bullets, pickups } = scene;
+
+    // Draw pickups and bullets under everything else, like the original version
+    drawPickupsBatched(ctx, pickups, alpha);
+    drawBulletsBatched(ctx, bullets, alpha);
+
+    // Only draw active monsters
+    const activeMonsters = monsters.filter(monster => monster.isActive);
+
+    // Draw monsters - batch for better performance
+    if (activeMonsters.length > 0) {
+        // Store the interpolated position so the bodies and health bars below can reuse it
+        activeMonsters.forEach(monster => {
+            monster.renderX = lerp(monster.prevX, monster.x, alpha);
+            monster.renderY = lerp(monster.prevY, monster.y, alpha);
+        });
+
+        // Draw monster bodies - one path per type color
+        groupByColor(activeMonsters, monstersByColor);
+        monstersByColor.forEach((group, color) => {
+            if (group.length === 0) return;
+
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            group.forEach(monster => {
+                ctx.moveTo(monster.renderX + monster.radius, monster.renderY);
+                ctx.arc(monster.renderX, monster.renderY, monster.radius, 0, Math.PI * 2);
+            });
+            ctx.fill();
+        });
+
+        // Outline bosses instead of giving them a small health bar - drawBossHealthBar shows theirs
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 3;
+        activeMonsters.forEach(monster => {
+            if (!monster.isBoss) return;
+            ctx.beginPath();
+            ctx.arc(monster.renderX, monster.renderY, monster.radius, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Draw health bars
+        ctx.fillStyle = '#333';
+        activeMonsters.forEach(monster => {
+            if (monster.isBoss) return;
+            const healthBarWidth = monster.radius * 2;
+            const healthBarHeight = 5;
+            ctx.fillRect(monster.renderX - monster.radius, monster.renderY - monster.radius - 10, healthBarWidth, healthBarHeight);
+        });
+
+        ctx.fillStyle = '#FF0000';
+        activeMonsters.forEach(monster => {
+            if (monster.isBoss) return;
+            const healthBarWidth = monster.radius * 2 * Math.max(0, monster.health / monster.maxHealth);
+            const healthBarHeight = 5;
+            ctx.fillRect(monster.renderX - monster.radius, monster.renderY - monster.radius - 10, healthBarWidth, healthBarHeight);
+        });
+    }
+
+    // Draw player
+    if (player.isActive) {
+        const playerX = lerp(player.prevX, player.x, alpha);
+        const playerY = lerp(player.prevY, player.y, alpha);
+
+        ctx.fillStyle = player.color;
+        ctx.beginPath();
+        ctx.arc(playerX, playerY, player.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw player direction indicator
+        if (player.aimAngle !== undefined) {
+            const dirX = playerX + Math.cos(player.aimAngle) * player.radius;
+            const dirY = playerY + Math.sin(player.aimAngle) * player.radius;
+
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(playerX, playerY);
+            ctx.lineTo(dirX, dirY);
+            ctx.stroke();
+        }
+    }
+}
+
+// Active entities grouped by color, reused between frames
+const monstersByColor = new Map();
+const bulletsByColor = new Map();
+const pickupsByColor = new Map();
+
+// Sort active entities into per-color groups, emptying the groups from last frame first
+function groupByColor(entities, groups) {
+    groups.forEach(group => {
+        group.length = 0;
+    });
+    entities.forEach(entity => {
+        if (!entity.isActive) return;
+        let group = groups.get(entity.color);
+        if (!group) {
+            group = [];
+            groups.set(entity.color, group);
+        }
+        group.push(entity);
+    });
+}
+
+/**
+ * Draw active bullets with one path per color instead of a fill per bullet - beams are stroked as lines
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Array} bullets - Bullets with x/y, prevX/prevY, radius and color, and angle and length for beams
+ * @param {number} alpha - Interpolation factor between the last two steps
+ */
+export function drawBulletsBatched(ctx, bullets, alpha) {
+    groupByColor(bullets, bulletsByColor);
+
+    bulletsByColor.forEach((group, color) => {
+        if (group.length === 0) return;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        group.forEach(bullet => {
+            if (bullet.length > 0) return;
+            const x = lerp(bullet.prevX, bullet.x, alpha);
+            const y = lerp(bullet.prevY, bullet.y, alpha);
+            ctx.moveTo(x + bullet.radius, y);
+            ctx.arc(x, y, bullet.radius, 0, Math.PI * 2);
+        });
+        ctx.fill();
+
+        // Beams are rare, so each gets its own stroke
+        ctx.strokeStyle = color;
+        ctx.lineCap = 'round';
+        group.forEach(bullet => {
+            if (!(bullet.length > 0)) return;
+            ctx.lineWidth = bullet.radius * 2;
+            ctx.beginPath();
+            ctx.moveTo(bullet.x, bullet.y);
+            ctx.lineTo(bullet.x + Math.cos(bullet.angle) * bullet.length, bullet.y + Math.sin(bullet.angle) * bullet.length);
+            ctx.stroke();
+        });
+    });
+}
+
+/**
+ * Draw active pickups with one path per kind color, each a diamond so they stand out from bullets
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Array} pickups - Pickups with x/y, prevX/prevY, radius and color
+ * @param {number} alpha - Interpolation factor between the last two steps
+ */
+export function drawPickupsBatched(ctx, pickups, alpha) {
+    groupByColor(pickups, pickupsByColor);
+
+    pickupsByColor.forEach((group, color) => {
+        if (group.length === 0) return;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        group.forEach(pickup => {
+            const x = lerp(pickup.prevX, pickup.x, alpha);
+            const y = lerp(pickup.prevY, pickup.y, alpha);
+            ctx.moveTo(x, y - pickup.radius);
+            ctx.lineTo(x + pickup.radius, y);
+            ctx.lineTo(x, y + pickup.radius);
+            ctx.lineTo(x - pickup.radius, y);
+            ctx.closePath();
+        });
+        ctx.fill();
+    });
+}
+
+/**
+ * Ring the monster the player is targeting, with four ticks pointing in at it
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Object|null} target - Monster with x/y, prevX/prevY, radius and isActive - nothing is drawn for null or a dead one
+ * @param {number} alpha - Interpolation factor between the last two steps
+ */
+export function drawTargetHighlight(ctx, target, alpha) {
+    if (!target || !target.isActive) return;
+
+    const x = lerp(target.prevX, target.x, alpha);
+    const y = lerp(target.prevY, target.y, alpha);
+    const ringRadius = target.radius + 6;
+    const tickLength = 8;
+
+    ctx.strokeStyle = '#FFFF00';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, ringRadius, 0, Math.PI * 2);
+    for (let i = 0; i < 4; i++) {
+        const angle = (Math.PI / 2) * i;
+        ctx.moveTo(x + Math.cos(angle) * ringRadius, y + Math.sin(angle) * ringRadius);
+        ctx.lineTo(x + Math.cos(angle) * (ringRadius + tickLength), y + Math.sin(angle) * (ringRadius + tickLength));
+    }
+    ctx.stroke();
+}
+
+/**
+ * Draw the boss's name, phase and health bar across the top of the canvas
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {{width: number, height: number}} canvas - Size of the canvas
+ * @param {Object|null} boss - { name, health, maxHealth, phase, phaseCount } - nothing is drawn for null
+ */
+export function drawBossHealthBar(ctx, canvas, boss) {
+    if (!boss) return;
+
+    const barWidth = canvas.width * 0.6;
+    const barHeight = 12;
+    const x = (canvas.width - barWidth) / 2;
+    const y = 40;
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(`${boss.name} - Phase ${boss.phase + 1}/${boss.phaseCount}`, canvas.width / 2, y - 8);
+
+    ctx.fillStyle = '#333';
+    ctx.fillRect(x, y, barWidth, barHeight);
+
+    ctx.fillStyle = '#FF8800';
+    ctx.fillRect(x, y, barWidth * Math.max(0, boss.health / boss.maxHealth), barHeight);
+
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, barWidth, barHeight);
+}
+
+/**
+ * Draw the XP bar across the bottom edge, with the player's level and running power-ups above its right end
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {{width: number, height: number}} canvas - Size of the canvas
+ * @param {Object} player - { level, xp, xpToNextLevel }
+ * @param {Array} powerUps - { name, color, timeLeft } per running power-up
+ */
+export function drawLevelBar(ctx, canvas, player, powerUps) {
+    const barHeight = 6;
+    const y = canvas.height - barHeight;
+
+    ctx.fillStyle = '#333';
+    ctx.fillRect(0, y, canvas.width, barHeight);
+
+    ctx.fillStyle = '#33FF99';
+    ctx.fillRect(0, y, canvas.width * Math.min(1, player.xp / player.xpToNextLevel), barHeight);
+
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'right';
+    let textY = y - 8;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillText(`LV ${player.level}`, canvas.width - 10, textY);
+    powerUps.forEach(powerUp => {
+        textY -= 18;
+        ctx.fillStyle = powerUp.color;
+        ctx.fillText(`${powerUp.name} ${powerUp.timeLeft.toFixed(1)}s`, canvas.width - 10, textY);
+    });
+}
+
+/**
+ * List the player's upgrades with their stacks in the bottom left corner
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {{width: number, height: number}} canvas - Size of the canvas
+ * @param {Array} upgrades - { name, stacks, maxStacks } entries - nothing is drawn for an empty list
+ */
+export function drawUpgradePanel(ctx, canvas, upgrades) {
+    if (upgrades.length === 0) return;
+
+    const lineHeight = 18;
+    const panelWidth = 170;
+    const panelHeight = upgrades.length * lineHeight + 12;
+    const x = 10;
+    const y = canvas.height - panelHeight - 10;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x, y, panelWidth, panelHeight);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'left';
+    upgrades.forEach((upgrade, i) => {
+        ctx.fillText(`${upgrade.name} ${upgrade.stacks}/${upgrade.maxStacks}`, x + 8, y + 20 + i * lineHeight);
+    });
+}
+
+/**
+ * Draw the open upgrade draft as one card per choice over the paused game
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {{width: number, height: number}} canvas - Size of the canvas
+ * @param {Array|null} choices - { name, description, stacks, maxStacks } per choice - nothing is drawn for null
+ */
+export function drawUpgradeDraft(ctx, canvas, choices) {
+    if (!choices) return;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '28px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('Choose an upgrade', canvas.width / 2, canvas.height / 2 - 100);
+
+    const cardWidth = 220;
+    const cardHeight = 120;
+    const gap = 20;
+    const left = (canvas.width - (choices.length * cardWidth + (choices.length - 1) * gap)) / 2;
+    const top = canvas.height / 2 - cardHeight / 2;
+
+    choices.forEach((choice, i) => {
+        const x = left + i * (cardWidth + gap);
+        const centerX = x + cardWidth / 2;
+
+        ctx.fillStyle = '#222';
+        ctx.fillRect(x, top, cardWidth, cardHeight);
+        ctx.strokeStyle = '#00FFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, top, cardWidth, cardHeight);
+
+        ctx.fillStyle = '#00FFFF';
+        ctx.font = '18px Arial';
+        ctx.fillText(`${i + 1}. ${choice.name}`, centerX, top + 32);
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '12px Arial';
+        ctx.fillText(choice.description, centerX, top + 64);
+        ctx.fillText(`Stack ${choice.stacks + 1}/${choice.maxStacks}`, centerX, top + 96);
+    });
+
+    ctx.font = '16px Arial';
+    ctx.fillText(`Press 1-${choices.length} to pick`, canvas.width / 2, top + cardHeight + 40);
+}
+
+/**
+ * Draw the game over screen over the last frame
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {{width: number, height: number}} canvas - Size of the canvas
+ * @param {number} score - Final score to show
+ */
+export function drawGameOverScreen(ctx, canvas, score) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = '#FF0000';
+    ctx.font = '48px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('GAME OVER', canvas.width / 2, canvas.height / 2 - 50);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = '24px Arial';
+    ctx.fillText(`Final Score: ${score}`, canvas.width / 2, canvas.height / 2);
+
+    ctx.font = '18px Arial';
+    ctx.fillText('Press R to restart', canvas.width / 2, canvas.height / 2 + 50);
+}
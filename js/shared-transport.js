@@ -0,0 +1,129 @@
+/**
+ * SharedArrayBuffer transport for the collision worker
+ * Instead of transferring a buffer with every message, the main thread encodes
+ * its state straight into shared memory and the worker writes its results
+ * into a second shared region. Handoff is coordinated with Atomics generation
+ * counters: the main thread bumps the input generation, the worker (blocked in
+ * Atomics.wait) wakes, processes and publishes the same generation as its
+ * result generation, which the main thread polls at the start of each frame
+ *
+ * Needs cross-origin isolation (COOP/COEP headers) in browsers - pages fall
+ * back to the transferable transport without it
+ */
+
+import { ProtocolError } from './protocol-schema.js';
+
+export const TRANSPORT_TRANSFERABLE = 'transferable';
+export const TRANSPORT_SHARED = 'shared';
+
+// Int32 slots of the control buffer
+export const CONTROL_INPUT_GENERATION = 0; // Bumped by the main thread when new input is written
+export const CONTROL_RESULT_GENERATION = 1; // Set by the worker to the generation it finished
+export const CONTROL_COMMAND = 2; // COMMAND_* for the worker's next wake-up
+export const CONTROL_BROADPHASE = 3; // 1 for brute force, 0 for the spatial hash
+export const CONTROL_RESULT_STATUS = 4; // RESULT_OK or RESULT_ERROR for the last generation
+export const CONTROL_PROCESS_TIME = 5; // Worker process time of the last generation, in microseconds
+const CONTROL_SLOTS = 8;
+
+export const COMMAND_NONE = 0;
+export const COMMAND_RESIZE = 1; // Leave the wait loop and pick up the new regions from the message queue
+
+export const RESULT_OK = 0;
+export const RESULT_ERROR = 1;
+
+// Starting size of each data region - grows in powers of two with the entity count
+const INITIAL_REGION_BYTES = 64 * 1024;
+
+// Whether this context can share memory with a worker at all
+export function isSharedTransportAvailable() {
+    return typeof SharedArrayBuffer !== 'undefined' &&
+        (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated);
+}
+
+/**
+ * A shared data region the protocol codec can encode into
+ * Stands in for a BufferPool: acquire always hands out the same buffer
+ */
+export class SharedRegion {
+    constructor(byteLength = INITIAL_REGION_BYTES, growable = true) {
+        this.buffer = byteLength instanceof SharedArrayBuffer ? byteLength : new SharedArrayBuffer(byteLength);
+        this.growable = growable; // Only the main thread may replace a region
+        this.resized = false; // Set when acquire had to replace the buffer
+    }
+
+    acquire(byteLength) {
+        if (byteLength > this.buffer.byteLength) {
+            if (!this.growable) {
+                throw new ProtocolError('TRUNCATED', `Shared region holds ${this.buffer.byteLength} bytes, ${byteLength} needed`);
+            }
+            this.buffer = new SharedArrayBuffer(2 ** Math.ceil(Math.log2(byteLength)));
+            this.resized = true;
+        }
+        return this.buffer;
+    }
+}
+
+/**
+ * Main-thread end of the shared transport
+ */
+export class SharedCollisionChannel {
+    constructor(worker) {
+        this.worker = worker;
+        this.control = new Int32Array(new SharedArrayBuffer(CONTROL_SLOTS * Int32Array.BYTES_PER_ELEMENT));
+        this.inputRegion = new SharedRegion();
+        this.resultRegion = new SharedRegion();
+        this.generation = 0; // Last input generation published
+        this.busy = false; // True from publish until the worker's result generation catches up
+
+        this.attach();
+    }
+
+    // Hand the current regions to the worker, which then starts waiting on the control buffer
+    attach() {
+        this.worker.postMessage({
+            type: 'attachShared',
+            control: this.control.buffer,
+            input: this.inputRegion.buffer,
+            results: this.resultRegion.buffer
+        });
+    }
+
+    /**
+     * Publish input the caller has just encoded into inputRegion
+     * @param {boolean} bruteForce - Broadphase mode for this generation
+     */
+    publish(bruteForce) {
+        // The input outgrew its region - results never need more room than the input
+        if (this.inputRegion.resized) {
+            this.inputRegion.resized = false;
+            this.resultRegion = new SharedRegion(this.inputRegion.buffer.byteLength);
+
+            // Queue the new regions, then wake the worker so it leaves its wait loop to read them
+            this.attach();
+            Atomics.store(this.control, CONTROL_COMMAND, COMMAND_RESIZE);
+            Atomics.notify(this.control, CONTROL_INPUT_GENERATION);
+        }
+
+        Atomics.store(this.control, CONTROL_BROADPHASE, bruteForce ? 1 : 0);
+        this.generation++;
+        this.busy = true;
+        Atomics.store(this.control, CONTROL_INPUT_GENERATION, this.generation);
+        Atomics.notify(this.control, CONTROL_INPUT_GENERATION);
+    }
+
+    /**
+     * Check whether the worker has finished the last published generation
+     * @returns {Object|null} - { ok, processTime } once per generation, otherwise null
+     */
+    poll() {
+        if (!this.busy || Atomics.load(this.control, CONTROL_RESULT_GENERATION) !== this.generation) {
+            return null;
+        }
+
+        this.busy = false;
+        return {
+            ok: Atomics.load(this.control, CONTROL_RESULT_STATUS) === RESULT_OK,
+            processTime: Atomics.load(this.control, CONTROL_PROCESS_TIME) / 1000
+        };
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Web Worker Thread for the whole simulation
+ * This worker owns the authoritative game state: it runs every fixed step,
+ * collisions included, from input commands forwarded by the main thread and
+ * posts compact render snapshots back. The main thread only interpolates and
+ * draws them, so positions are never written from two threads
+ */
+
+import { Broadphase } from './broadphase.js';
+import { BufferPool } from './buffer-pool.js';
+import { InputController } from './input.js';
+import { PROTOCOL_VERSION } from './protocol-schema.js';
+import { SeededRandom } from './random.js';
+import { createSimulationState, getTimestamp, resetStepTimings, updateGame } from './simulation.js';
+import { FixedTimestep, SIMULATION_STEPS_PER_SECOND } from './timestep.js';
+import { serializeSnapshot } from './worker-protocol.js';
+
+// Pacing of the worker's clock
+const PACE_REALTIME = 'realtime'; // Steps follow wall-clock time, as in a browser
+const PACE_FAST = 'fast'; // One step per loop, back to back (headless benchmark)
+
+// Snapshots posted but not yet handed back - past this the main thread is behind and steps go unseen
+const MAX_SNAPSHOTS_IN_FLIGHT = 2;
+
+let gameState = null;
+let loopTimeoutId = null;
+
+// Snapshot buffers are handed back by the main thread once decoded
+const snapshotPool = new BufferPool();
+let snapshotsInFlight = 0;
+
+// Message handler
+self.onmessage = function(e) {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'start':
+            startSimulation(message);
+            break;
+
+        case 'keyDown':
+            gameState.input.keyDown(message.key);
+            break;
+
+        case 'keyUp':
+            gameState.input.keyUp(message.key);
+            break;
+
+        case 'pointerMove':
+            gameState.input.pointerMove(message.x, message.y);
+            break;
+
+        case 'resize':
+            // The simulation only reads the canvas size - a replay keeps its recorded size
+            if (!gameState.input.isReplaying) {
+                gameState.canvas.width = message.width;
+                gameState.canvas.height = message.height;
+            }
+            break;
+
+        case 'setBroadphase':
+            gameState.broadphase.setMode(message.broadphase);
+            break;
+
+        case 'snapshotReturned':
+            snapshotPool.release(message.buffer);
+            snapshotsInFlight--;
+            break;
+
+        case 'exportLog':
+            self.postMessage({ type: 'inputLog', log: gameState.input.exportLog() });
+            break;
+
+        default:
+            self.postMessage({
+                type: 'error',
+                code: 'UNKNOWN_MESSAGE',
+                error: `Unknown message type: ${message.type}`,
+                protocolVersion: PROTOCOL_VERSION
+            });
+            break;
+    }
+};
+
+/**
+ * Create the game state and start stepping it
+ * @param {Object} message - { seed, canvas, replayLog, broadphase, invincible, shooting, autoPickUpgrades, targeting, pace,
+ *                           stopAtTick }, where stopAtTick (optional) ends the run with a 'finished' message after that many steps
+ */
+function startSimulation(message) {
+    if (loopTimeoutId !== null) {
+        clearTimeout(loopTimeoutId);
+    }
+
+    // Kept separate from the page's canvas - the main thread sends resizes
+    const canvas = { width: message.canvas.width, height: message.canvas.height };
+    const rng = new SeededRandom(message.seed);
+
+    gameState = {
+        // Player, entities, spawner and progression shared with the other versions
+        ...createSimulationState(canvas, rng, new InputController({
+            game: 'simulation',
+            seed: rng.seed,
+            targeting: message.targeting,
+            invincible: Boolean(message.invincible),
+            shooting: message.shooting !== false,
+            autoPickUpgrades: Boolean(message.autoPickUpgrades),
+            stepsPerSecond: SIMULATION_STEPS_PER_SECOND,
+            canvas: { width: canvas.width, height: canvas.height }
+        }, message.replayLog || null)), // Per-tick player commands, recorded for replay (or read back from a replay log)
+
+        canvas: canvas,
+        timestep: new FixedTimestep(), // Fixed-step simulation clock
+        broadphase: new Broadphase(message.broadphase), // Collisions run inline, like the original version
+        pace: message.pace === PACE_FAST ? PACE_FAST : PACE_REALTIME,
+        fastClock: 0, // Synthetic timestamp for PACE_FAST
+        stopAtTick: message.stopAtTick || Infinity,
+
+        // Step timings, summed until the next snapshot is posted
+        timings: {
+            playerUpdateTime: 0,
+            monsterUpdateTime: 0,
+            bulletUpdateTime: 0,
+            monsterSpawnTime: 0,
+            collisionTime: 0,
+            stepTime: 0,
+            simulationSteps: 0
+        }
+    };
+
+    gameState.player.invincible = Boolean(message.invincible);
+    gameState.shootingEnabled = message.shooting !== false;
+    gameState.autoPickUpgrades = Boolean(message.autoPickUpgrades);
+    gameState.player.targetingMode = message.targeting;
+
+    runSimulationLoop();
+}
+
+// Run the steps that are due, post a snapshot, and schedule the next loop
+function runSimulationLoop() {
+    loopTimeoutId = null;
+    const { timestep, timings } = gameState;
+    const stepMilliseconds = timestep.stepSize * 1000;
+
+    // In fast mode every loop is exactly one step later than the last
+    const timestamp = gameState.pace === PACE_FAST ? (gameState.fastClock += stepMilliseconds) : getTimestamp();
+
+    const loopStartTime = getTimestamp();
+    const steps = timestep.advance(timestamp, (stepSize, tick) => {
+        if (!gameState.isGameOver && tick < gameState.stopAtTick) {
+            updateGame(stepSize, gameState, gameState.input.commandForTick(tick));
+        }
+    });
+    timings.stepTime += getTimestamp() - loopStartTime;
+    timings.simulationSteps += steps;
+
+    const finished = gameState.isGameOver || timestep.tick >= gameState.stopAtTick;
+
+    // Skip the snapshot while the main thread is behind - the last one always goes out
+    if ((steps > 0 && snapshotsInFlight < MAX_SNAPSHOTS_IN_FLIGHT) || finished) {
+        postSnapshot();
+    }
+
+    if (finished) {
+        const { player, monsters, bullets } = gameState;
+        self.postMessage({
+            type: 'finished',
+            ticks: Math.min(timestep.tick, gameState.stopAtTick),
+            final: {
+                monsters: monsters.length,
+                bullets: bullets.length,
+                score: player.score,
+                kills: gameState.kills,
+                bosses: gameState.monsterSpawner.bossesSpawned,
+                wave: gameState.monsterSpawner.waves.number,
+                level: player.level,
+                upgrades: { ...player.upgrades },
+                gameOver: gameState.isGameOver
+            }
+        });
+        return;
+    }
+
+    // Sleep until the next step is due
+    const delay = gameState.pace === PACE_FAST ? 0 : Math.max(0, stepMilliseconds - timestep.accumulator * 1000);
+    loopTimeoutId = setTimeout(runSimulationLoop, delay);
+}
+
+// Encode the current state into a pooled buffer and transfer it to the main thread
+function postSnapshot() {
+    const { buffer, byteLength } = serializeSnapshot(gameState, snapshotPool);
+    snapshotsInFlight++;
+    self.postMessage({
+        type: 'snapshot',
+        buffer: buffer,
+        byteLength: byteLength
+    }, [buffer]);
+
+    // Start summing the next snapshot's timings
+    resetStepTimings(gameState.timings);
+    gameState.timings.stepTime = 0;
+    gameState.timings.simulationSteps = 0;
+}
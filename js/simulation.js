@@ -0,0 +1,181 @@
+/**
+ * Simulation step shared by both game versions and the headless benchmark
+ * Nothing in here touches the DOM, so it also runs under Node
+ */
+
+import { handleCollisions, cleanupEntities } from './collision.js';
+import { INPUT_PICK_BITS } from './input.js';
+import { MonsterSpawner } from './monster.js';
+import { ParticleSystem } from './particles.js';
+import { updatePowerUps } from './pickups.js';
+import { Player } from './player.js';
+import { savePreviousState } from './timestep.js';
+import { applyUpgrade, rollUpgradeChoices } from './upgrades.js';
+
+// High performance timestamp function (works on pages, in workers and under Node)
+export const getTimestamp = () => {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+};
+
+/**
+ * Create the gameplay part of a game state
+ * Pages and the benchmark spread this into their own state and add frame,
+ * worker and timing fields on top
+ * @param {Object} canvas - Canvas (or a stub with width and height) the game plays on
+ * @param {SeededRandom} rng - Random source for the whole run
+ * @param {InputController} input - Source of per-tick player commands
+ * @returns {Object} - Player, entities, spawner and progression state
+ */
+export function createSimulationState(canvas, rng, input) {
+    return {
+        player: new Player(canvas.width / 2, canvas.height / 2, canvas),
+        monsters: [],
+        bullets: [],
+        pickups: [], // Dropped by kills, collected by the collision code - see pickups.js
+        monsterSpawner: new MonsterSpawner(canvas, rng),
+        rng: rng,
+        input: input,
+        isGameOver: false,
+        upgradePoints: 0, // One per level the player gains
+        upgradeDraft: null, // Upgrades on offer while the game waits for a pick, or null
+        autoPickUpgrades: false, // Take the first choice of every draft without pausing - pages turn it on with ?draft=auto
+        kills: 0, // Monsters killed by player bullets
+        powerUps: {}, // Seconds left of each running power-up, by pickup kind
+        monstersFrozen: false, // Set while the freeze power-up runs
+        shootingEnabled: true, // Player and monster shooting - pages turn it off with ?shooting=off
+
+        // Visual effects systems
+        particleSystem: new ParticleSystem(rng)
+    };
+}
+
+// Zero the per-step timing buckets at the start of a frame
+export function resetStepTimings(timings) {
+    timings.playerUpdateTime = 0;
+    timings.monsterUpdateTime = 0;
+    timings.bulletUpdateTime = 0;
+    timings.monsterSpawnTime = 0;
+    timings.collisionTime = 0;
+}
+
+/**
+ * Advance the game state by one fixed simulation step
+ * @param {number} deltaTime - Step size in seconds
+ * @param {Object} gameState - State created by the page (or the benchmark)
+ * @param {number} command - This tick's input command mask
+ * @param {boolean} runCollisions - False when a worker handles collisions instead
+ */
+export function updateGame(deltaTime, gameState, command, runCollisions = true) {
+    const { player, monsters, bullets, monsterSpawner } = gameState;
+
+    // Apply input before anything moves - the mouse position was latched with the command
+    player.applyInput(command, gameState.input.aim);
+
+    // Remember positions before this step moves anything, for interpolated rendering
+    savePreviousState(player);
+    monsters.forEach(savePreviousState);
+    bullets.forEach(savePreviousState);
+    gameState.pickups.forEach(savePreviousState);
+
+    // Nothing moves while a draft waits for its pick
+    if (!updateUpgradeDraft(gameState, command)) {
+        return;
+    }
+
+    // Measure player update time
+    const playerStartTime = getTimestamp();
+
+    // Update player and count its power-ups down
+    player.update(deltaTime, monsters, bullets, gameState.shootingEnabled);
+    updatePowerUps(gameState, deltaTime);
+
+    // Calculate player update time
+    gameState.timings.playerUpdateTime += getTimestamp() - playerStartTime;
+
+    // Measure monster update time
+    const monsterStartTime = getTimestamp();
+
+    // Update monsters - frozen ones neither move nor shoot
+    if (!gameState.monstersFrozen) {
+        monsters.forEach(monster => {
+            monster.update(deltaTime, player, bullets, gameState.shootingEnabled);
+        });
+    }
+
+    // Calculate monster update time
+    gameState.timings.monsterUpdateTime += getTimestamp() - monsterStartTime;
+
+    // Measure bullet update time
+    const bulletStartTime = getTimestamp();
+
+    // Update bullets
+    bullets.forEach(bullet => {
+        bullet.update(deltaTime);
+    });
+
+    // Calculate bullet update time
+    gameState.timings.bulletUpdateTime += getTimestamp() - bulletStartTime;
+
+    // Pickups drift towards the player inside its magnet radius
+    gameState.pickups.forEach(pickup => {
+        pickup.update(deltaTime, player);
+    });
+
+    // Measure monster spawning time
+    const spawnStartTime = getTimestamp();
+
+    // Spawn monsters
+    monsterSpawner.update(deltaTime, monsters);
+
+    // Calculate monster spawning time
+    gameState.timings.monsterSpawnTime += getTimestamp() - spawnStartTime;
+
+    if (runCollisions) {
+        // Measure collision detection time
+        const collisionStartTime = getTimestamp();
+
+        // Check for collisions
+        handleCollisions(gameState);
+
+        // Calculate collision detection time
+        gameState.timings.collisionTime += getTimestamp() - collisionStartTime;
+    }
+
+    // Splitters leave their children behind before the dead are cleaned up, and bosses bring in their adds
+    monsterSpawner.spawnChildren(monsters);
+
+    // Clean up inactive entities
+    cleanupEntities(gameState);
+
+    // Check for game over
+    if (!player.isActive) {
+        gameState.isGameOver = true;
+    }
+}
+
+/**
+ * Open a draft for a pending upgrade point, and apply the pick once one comes in
+ * @param {Object} gameState - Game state with the player, rng and upgrade points
+ * @param {number} command - This tick's input command mask
+ * @returns {boolean} - False while a draft is still waiting for its pick
+ */
+function updateUpgradeDraft(gameState, command) {
+    if (!gameState.upgradeDraft && gameState.upgradePoints > 0) {
+        const choices = rollUpgradeChoices(gameState.player, gameState.rng);
+        if (choices.length === 0) {
+            // Everything is maxed out - there is nothing left to spend points on
+            gameState.upgradePoints = 0;
+            return true;
+        }
+        gameState.upgradeDraft = choices;
+    }
+    if (!gameState.upgradeDraft) return true;
+
+    const choice = gameState.autoPickUpgrades ? 0 : INPUT_PICK_BITS.findIndex(bit => (command & bit) !== 0);
+    if (choice < 0 || choice >= gameState.upgradeDraft.length) return false;
+
+    applyUpgrade(gameState.player, gameState.upgradeDraft[choice]);
+    gameState.upgradeDraft = null;
+    gameState.upgradePoints--;
+    return true;
+}
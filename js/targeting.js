@@ -0,0 +1,290 @@
+/**
+ * Player targeting
+ * A targeting mode picks the monster the player's weapons aim at. Modes are
+ * registered by ID and numbered in registration order, like upgrades, so
+ * threads that only exchange numbers can send the mode as an index. Every
+ * query goes through a spatial hash of the monsters rebuilt once per step
+ * instead of scanning them all, and the aim leads a moving target by where
+ * a bullet would meet it
+ */
+
+import { SpatialHash } from './broadphase.js';
+
+// Mode the player starts in
+export const DEFAULT_TARGETING_MODE = 'nearest';
+
+// How far from the player the weakest, threat and cluster modes look before falling back to the nearest monster
+const TARGETING_RANGE = 600;
+
+// Neighbours within this distance of a monster count towards its cluster
+const CLUSTER_RADIUS = 100;
+
+// The nearest-monster search starts at this radius and doubles until it finds one or covers every monster
+const FIRST_SEARCH_RADIUS = 128;
+
+// Seconds of flight a lead is worked out for at most - past this the aim goes straight at the target
+const MAX_LEAD_TIME = 2;
+
+const modesById = new Map();
+const modesByIndex = [];
+
+/**
+ * Spatial hash of the active monsters, rebuilt once per step, answering the targeting queries
+ */
+export class TargetIndex {
+    constructor() {
+        this.hash = new SpatialHash();
+        this.candidates = []; // Reused query results
+        this.neighbours = [];
+
+        // Bounding box of the indexed monsters' centers
+        this.minX = 0;
+        this.minY = 0;
+        this.maxX = 0;
+        this.maxY = 0;
+    }
+
+    // Index the monsters as they are at the start of the step
+    build(monsters) {
+        this.hash.rebuild(monsters);
+
+        const indexed = this.hash.entities;
+        this.minX = this.minY = Infinity;
+        this.maxX = this.maxY = -Infinity;
+        for (let i = 0; i < indexed.length; i++) {
+            this.minX = Math.min(this.minX, indexed[i].x);
+            this.minY = Math.min(this.minY, indexed[i].y);
+            this.maxX = Math.max(this.maxX, indexed[i].x);
+            this.maxY = Math.max(this.maxY, indexed[i].y);
+        }
+    }
+
+    /**
+     * The active monster nearest to a point, searching rings of growing radius
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @returns {Monster|null} - The nearest monster, or null if there are none
+     */
+    nearest(x, y) {
+        const indexed = this.hash.entities;
+        if (indexed.length === 0) return null;
+
+        // Once a ring would reach the farthest corner of the monsters' bounds it covers them all
+        const farX = Math.max(x - this.minX, this.maxX - x);
+        const farY = Math.max(y - this.minY, this.maxY - y);
+        const farthest = Math.sqrt(farX * farX + farY * farY);
+
+        for (let radius = FIRST_SEARCH_RADIUS; radius < farthest; radius *= 2) {
+            const nearest = nearestTo(this.hash.query(x, y, radius, this.candidates), x, y);
+
+            // Anything nearer than the radius is in the cells the query covered
+            if (nearest && distanceSquaredTo(nearest, x, y) <= radius * radius) {
+                return nearest;
+            }
+        }
+        return nearestTo(indexed, x, y);
+    }
+
+    /**
+     * Active monsters whose centers are within a radius of a point, in spawn order
+     * @param {number} x - Point x
+     * @param {number} y - Point y
+     * @param {number} radius - Search radius
+     * @param {Array} out - Array to fill, reused between calls
+     * @returns {Array} - The filled out array
+     */
+    within(x, y, radius, out) {
+        const radiusSquared = radius * radius;
+        this.hash.query(x, y, radius, out);
+        let count = 0;
+        for (let i = 0; i < out.length; i++) {
+            if (out[i].isActive && distanceSquaredTo(out[i], x, y) <= radiusSquared) {
+                out[count++] = out[i];
+            }
+        }
+        out.length = count;
+        return out;
+    }
+}
+
+/**
+ * Add a targeting mode, or replace the one with the same ID (keeping its index)
+ * @param {string} id - Key the player's targetingMode holds
+ * @param {Object} definition - { name, select(index, player), aimsAtPointer }, where select returns the target or null,
+ *                              and aimsAtPointer aims at the mouse instead of leading the target
+ * @returns {Object} - The registered mode, with id and index added
+ */
+export function registerTargetingMode(id, definition) {
+    const existing = modesById.get(id);
+    const mode = { aimsAtPointer: false, ...definition, id: id, index: existing ? existing.index : modesByIndex.length };
+    modesById.set(id, mode);
+    modesByIndex[mode.index] = mode;
+    return mode;
+}
+
+/**
+ * Look up a registered targeting mode
+ * @param {string} id - Registered ID
+ * @returns {Object} - The mode
+ * @throws {Error} - If no mode has that ID
+ */
+export function getTargetingMode(id) {
+    const mode = modesById.get(id);
+    if (!mode) {
+        throw new Error(`Unknown targeting mode: ${id}`);
+    }
+    return mode;
+}
+
+// Whether a targeting mode is registered under an ID - pages check their query parameter with this
+export function hasTargetingMode(id) {
+    return modesById.has(id);
+}
+
+// Look up a targeting mode by the index a snapshot carries
+export function getTargetingModeByIndex(index) {
+    return modesByIndex[index];
+}
+
+// The ID of the mode after this one, wrapping round - the T key cycles through them
+export function nextTargetingMode(id) {
+    return modesByIndex[(getTargetingMode(id).index + 1) % modesByIndex.length].id;
+}
+
+// HUD suffix naming the targeting mode
+export function formatTargetingStatus(id) {
+    return ` - TARGET: ${getTargetingMode(id).name.toUpperCase()}`;
+}
+
+/**
+ * Angle to fire at so a bullet meets a moving target
+ * The target's velocity is how far it moved over the last step (stepX and
+ * stepY, see savePreviousState), which also counts pushes from collisions
+ * @param {number} x - Shooter x
+ * @param {number} y - Shooter y
+ * @param {Object} target - Target with x, y, stepX and stepY
+ * @param {number} speed - Bullet speed in pixels per second
+ * @param {number} deltaTime - Step size in seconds the target's step covers
+ * @returns {number} - Angle in radians, straight at the target if there is no interception
+ */
+export function leadAngle(x, y, target, speed, deltaTime) {
+    const dx = target.x - x;
+    const dy = target.y - y;
+    const vx = (target.stepX || 0) / deltaTime;
+    const vy = (target.stepY || 0) / deltaTime;
+
+    // Smallest t > 0 with |d + v t| = speed t
+    const a = vx * vx + vy * vy - speed * speed;
+    const b = 2 * (dx * vx + dy * vy);
+    const c = dx * dx + dy * dy;
+    let time = -1;
+    if (Math.abs(a) < 1e-6) {
+        time = b < 0 ? -c / b : -1;
+    } else {
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant >= 0) {
+            const root = Math.sqrt(discriminant);
+            const t1 = (-b - root) / (2 * a);
+            const t2 = (-b + root) / (2 * a);
+            time = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+        }
+    }
+
+    if (!(time > 0) || time > MAX_LEAD_TIME) {
+        return Math.atan2(dy, dx);
+    }
+    return Math.atan2(dy + vy * time, dx + vx * time);
+}
+
+// Built-in modes - every one but nearest and mouse only looks within TARGETING_RANGE
+registerTargetingMode('nearest', {
+    name: 'Nearest',
+    select(index, player) {
+        return index.nearest(player.x, player.y);
+    }
+});
+
+registerTargetingMode('weakest', {
+    name: 'Lowest Health',
+    select(index, player) {
+        let weakest = null;
+        index.within(player.x, player.y, TARGETING_RANGE, index.candidates).forEach(monster => {
+            if (!weakest || monster.health < weakest.health) {
+                weakest = monster;
+            }
+        });
+        return weakest || index.nearest(player.x, player.y);
+    }
+});
+
+// The monster that would reach the player soonest along the way it is moving - distance left over closing speed
+registerTargetingMode('threat', {
+    name: 'Highest Threat',
+    select(index, player) {
+        let threat = null;
+        let soonest = Infinity;
+        index.within(player.x, player.y, TARGETING_RANGE, index.candidates).forEach(monster => {
+            const dx = player.x - monster.x;
+            const dy = player.y - monster.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) return;
+
+            const closing = ((monster.stepX || 0) * dx + (monster.stepY || 0) * dy) / distance;
+            if (closing <= 0) return;
+
+            const steps = Math.max(0, distance - monster.radius - player.radius) / closing;
+            if (steps < soonest) {
+                soonest = steps;
+                threat = monster;
+            }
+        });
+        return threat || index.nearest(player.x, player.y);
+    }
+});
+
+// The monster with the most others around it, so area weapons and piercing shots hit the most
+registerTargetingMode('cluster', {
+    name: 'Densest Cluster',
+    select(index, player) {
+        let densest = null;
+        let mostNeighbours = 0;
+        index.within(player.x, player.y, TARGETING_RANGE, index.candidates).forEach(monster => {
+            const neighbours = index.within(monster.x, monster.y, CLUSTER_RADIUS, index.neighbours).length;
+            if (neighbours > mostNeighbours) {
+                mostNeighbours = neighbours;
+                densest = monster;
+            }
+        });
+        return densest || index.nearest(player.x, player.y);
+    }
+});
+
+// Aims wherever the mouse is - the target is the monster nearest the pointer, for homing missiles and the highlight
+registerTargetingMode('mouse', {
+    name: 'Mouse Aim',
+    aimsAtPointer: true,
+    select(index, player) {
+        const point = player.aimPoint || player;
+        return index.nearest(point.x, point.y);
+    }
+});
+
+// Nearest active entity of a list to a point, the first one on a tie
+function nearestTo(entities, x, y) {
+    let nearest = null;
+    let nearestDistanceSquared = Infinity;
+    for (let i = 0; i < entities.length; i++) {
+        const distanceSquared = distanceSquaredTo(entities[i], x, y);
+        if (entities[i].isActive && distanceSquared < nearestDistanceSquared) {
+            nearestDistanceSquared = distanceSquared;
+            nearest = entities[i];
+        }
+    }
+    return nearest;
+}
+
+function distanceSquaredTo(entity, x, y) {
+    const dx = entity.x - x;
+    const dy = entity.y - y;
+    return dx * dx + dy * dy;
+}
@@ -0,0 +1,74 @@
+/**
+ * Fixed timestep simulation clock
+ * Converts variable frame times into a whole number of fixed-size simulation
+ * steps, and reports how far between two steps the renderer should draw
+ */
+
+// Simulation runs at 60 steps per second regardless of the frame rate
+export const SIMULATION_STEPS_PER_SECOND = 60;
+
+// Never run more than this many steps in one frame (avoids the spiral of death)
+export const MAX_STEPS_PER_FRAME = 5;
+
+export class FixedTimestep {
+    constructor(stepsPerSecond = SIMULATION_STEPS_PER_SECOND, maxStepsPerFrame = MAX_STEPS_PER_FRAME) {
+        this.stepSize = 1 / stepsPerSecond; // Seconds per simulation step
+        this.maxStepsPerFrame = maxStepsPerFrame;
+        this.reset();
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.lastTimestamp = null;
+        this.tick = 0; // Total number of steps simulated so far
+        this.alpha = 0; // Interpolation factor between the previous and current step
+        this.droppedTime = 0; // Seconds discarded by the per-frame step clamp
+    }
+
+    /**
+     * Advance the clock to a new frame timestamp and run the fixed steps it covers
+     * @param {number} timestamp - Frame timestamp in milliseconds
+     * @param {Function} update - Called with (stepSize, tick) for every step
+     * @returns {number} - Number of steps run this frame
+     */
+    advance(timestamp, update) {
+        // The first frame only starts the clock, so it never sees a huge delta
+        if (this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+        }
+
+        this.accumulator += (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+
+        let steps = 0;
+        while (this.accumulator >= this.stepSize && steps < this.maxStepsPerFrame) {
+            update(this.stepSize, this.tick);
+            this.accumulator -= this.stepSize;
+            this.tick++;
+            steps++;
+        }
+
+        // Too far behind - drop the whole steps we could not catch up on
+        if (this.accumulator >= this.stepSize) {
+            const remainder = this.accumulator % this.stepSize;
+            this.droppedTime += this.accumulator - remainder;
+            this.accumulator = remainder;
+        }
+
+        this.alpha = this.accumulator / this.stepSize;
+        return steps;
+    }
+}
+
+// Remember where an entity was before the next step moves it, and how far the last step moved it (targeting leads by this)
+export function savePreviousState(entity) {
+    entity.stepX = entity.x - entity.prevX;
+    entity.stepY = entity.y - entity.prevY;
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+}
+
+// Linear interpolation used to draw entities between two simulation steps
+export function lerp(from, to, alpha) {
+    return from + (to - from) * alpha;
+}
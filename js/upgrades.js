@@ -0,0 +1,235 @@
+/**
+ * Player upgrades
+ * Every upgrade point opens a draft of three different upgrades drawn from the
+ * ones the player has not maxed out, and the game waits until one is picked.
+ * Stacking rules are explicit per upgrade: maxStacks caps how often it can be
+ * picked, and apply says what one more stack does - additive upgrades add the
+ * same amount every time, multiplicative ones scale the current value again.
+ * Upgrades are numbered in registration order, so threads that only exchange
+ * numbers can send a draft or the chosen upgrades as indices
+ */
+
+import { createWeapon } from './weapons.js';
+
+// Choices offered per draft
+export const UPGRADE_CHOICE_COUNT = 3;
+
+const upgradesById = new Map();
+const upgradesByIndex = [];
+
+/**
+ * Add an upgrade that drafts can offer, or replace the one with the same ID (keeping its index)
+ * @param {string} id - Key in player.upgrades
+ * @param {Object} definition - { name, description, maxStacks, apply(player) }, where apply adds one stack
+ * @returns {Object} - The registered upgrade, with id and index added
+ * @throws {Error} - If maxStacks is not a positive integer
+ */
+export function registerUpgrade(id, definition) {
+    if (!Number.isInteger(definition.maxStacks) || definition.maxStacks < 1) {
+        throw new Error(`Upgrade ${id}: maxStacks must be a positive integer (got ${definition.maxStacks})`);
+    }
+
+    const existing = upgradesById.get(id);
+    const upgrade = { ...definition, id: id, index: existing ? existing.index : upgradesByIndex.length };
+    upgradesById.set(id, upgrade);
+    upgradesByIndex[upgrade.index] = upgrade;
+    return upgrade;
+}
+
+// Look up an upgrade by the index a snapshot or render frame carries
+export function getUpgradeByIndex(index) {
+    return upgradesByIndex[index];
+}
+
+// Stacks the player has of an upgrade
+export function getUpgradeStacks(player, upgrade) {
+    return player.upgrades[upgrade.id] || 0;
+}
+
+/**
+ * Draw the choices of a draft
+ * @param {Player} player - Player the draft is for - maxed upgrades are not offered
+ * @param {SeededRandom} rng - Random source, so every build drafts the same choices
+ * @returns {Array} - Up to UPGRADE_CHOICE_COUNT different upgrades, empty once everything is maxed
+ */
+export function rollUpgradeChoices(player, rng) {
+    const pool = upgradesByIndex.filter(upgrade => getUpgradeStacks(player, upgrade) < upgrade.maxStacks);
+    const choices = [];
+    while (choices.length < UPGRADE_CHOICE_COUNT && pool.length > 0) {
+        choices.push(pool.splice(rng.int(pool.length), 1)[0]);
+    }
+    return choices;
+}
+
+/**
+ * Add one stack of an upgrade to the player
+ * @param {Player} player - Player picking the upgrade
+ * @param {Object} upgrade - Registered upgrade
+ * @returns {boolean} - False if the upgrade was already maxed out
+ */
+export function applyUpgrade(player, upgrade) {
+    const stacks = getUpgradeStacks(player, upgrade);
+    if (stacks >= upgrade.maxStacks) return false;
+
+    player.upgrades[upgrade.id] = stacks + 1;
+    upgrade.apply(player);
+    return true;
+}
+
+/**
+ * What the upgrade panel and draft cards show for an upgrade
+ * @param {Object} upgrade - Registered upgrade
+ * @param {number} stacks - Stacks the player has
+ * @returns {{name: string, description: string, stacks: number, maxStacks: number}} - Display fields
+ */
+export function describeUpgrade(upgrade, stacks) {
+    return { name: upgrade.name, description: upgrade.description, stacks: stacks, maxStacks: upgrade.maxStacks };
+}
+
+// Every upgrade the player has at least one stack of, in registration order
+export function listChosenUpgrades(player) {
+    return upgradesByIndex.filter(upgrade => getUpgradeStacks(player, upgrade) > 0);
+}
+
+// The player's upgrades for the panel
+export function describeChosenUpgrades(player) {
+    return listChosenUpgrades(player).map(upgrade => describeUpgrade(upgrade, getUpgradeStacks(player, upgrade)));
+}
+
+// The open draft's cards, or null when no draft is open
+export function describeUpgradeDraft(draft, player) {
+    if (!draft) return null;
+    return draft.map(upgrade => describeUpgrade(upgrade, getUpgradeStacks(player, upgrade)));
+}
+
+/**
+ * Register an upgrade that gives the player a weapon, and levels it up on every further stack
+ * @param {string} id - Key in player.upgrades
+ * @param {string} kind - Weapon kind, as registered with registerWeaponKind
+ * @param {Object} definition - { name, description, maxStacks }
+ * @returns {Object} - The registered upgrade
+ */
+export function registerWeaponUpgrade(id, kind, definition) {
+    return registerUpgrade(id, {
+        ...definition,
+        apply(player) {
+            const weapon = player.getWeapon(kind);
+            if (weapon) {
+                weapon.levelUp();
+            } else {
+                player.addWeapon(createWeapon(kind));
+            }
+        }
+    });
+}
+
+// Built-in upgrades - a multiplicative rule says so in its description
+registerUpgrade('fireRate', {
+    name: 'Fire Rate',
+    description: 'Every weapon\'s interval x0.85 (multiplicative)',
+    maxStacks: 5,
+    apply(player) {
+        player.fireRateMultiplier *= 0.85;
+    }
+});
+
+registerUpgrade('multishot', {
+    name: 'Multishot',
+    description: '+1 blaster bullet per shot, fanned out',
+    maxStacks: 4,
+    apply(player) {
+        player.projectileCount++;
+    }
+});
+
+registerUpgrade('pierce', {
+    name: 'Pierce',
+    description: '+5 monsters pierced per bullet',
+    maxStacks: 5,
+    apply(player) {
+        player.pierceBonus += 5;
+    }
+});
+
+registerUpgrade('bulletSpeed', {
+    name: 'Bullet Speed',
+    description: '+15% bullet speed',
+    maxStacks: 5,
+    apply(player) {
+        player.bulletSpeedMultiplier += 0.15;
+    }
+});
+
+registerUpgrade('bulletPower', {
+    name: 'Bullet Power',
+    description: 'Next bullet tier: more damage, size and pierce',
+    maxStacks: 4, // Levels 2 to 5
+    apply(player) {
+        player.upgradeBullet();
+    }
+});
+
+registerUpgrade('moveSpeed', {
+    name: 'Move Speed',
+    description: '+20 move speed',
+    maxStacks: 5,
+    apply(player) {
+        player.speed += 20;
+    }
+});
+
+registerUpgrade('maxHealth', {
+    name: 'Max Health',
+    description: '+25 max health, healed straight away',
+    maxStacks: 8,
+    apply(player) {
+        player.maxHealth += 25;
+        player.health += 25;
+    }
+});
+
+registerUpgrade('magnet', {
+    name: 'Magnet',
+    description: '+50 pickup radius',
+    maxStacks: 5,
+    apply(player) {
+        player.pickupRadius += 50;
+    }
+});
+
+// Weapons - the first stack adds the weapon, later ones level it up
+registerWeaponUpgrade('orbitals', 'orbitals', {
+    name: 'Orbitals',
+    description: '+1 projectile circling you, recharges after a hit',
+    maxStacks: 6
+});
+
+registerWeaponUpgrade('shotgun', 'shotgun', {
+    name: 'Shotgun',
+    description: 'Fan of short-range pellets, +2 per level',
+    maxStacks: 3
+});
+
+registerWeaponUpgrade('homing', 'homing', {
+    name: 'Homing Missiles',
+    description: 'Missiles that retarget, -20% interval per level',
+    maxStacks: 3
+});
+
+registerWeaponUpgrade('laser', 'laser', {
+    name: 'Laser',
+    description: 'Beam through everything in line, -20% interval per level',
+    maxStacks: 3
+});
+
+registerWeaponUpgrade('nova', 'nova', {
+    name: 'Nova',
+    description: 'Burst around you, bigger and faster per level',
+    maxStacks: 3
+});
+
+registerWeaponUpgrade('boomerang', 'boomerang', {
+    name: 'Boomerang',
+    description: 'Pierces out and back, -20% interval per level',
+    maxStacks: 3
+});
@@ -225,10 +225,10 @@ function stopWorkerGame() {
         removeWorkerEventListeners();
     }
 
-    // Terminate the worker if it exists
-    if (window.gameWorker) {
-        gameWorker.terminate();
-        window.gameWorker = null;
+    // Terminate the collision workers if they exist
+    if (window.workerPool) {
+        window.workerPool.terminate();
+        window.workerPool = null;
     }
 
     // Reset game state to prevent memory leaks
@@ -0,0 +1,227 @@
+/**
+ * Wave director
+ * Runs the wave script from waves-data.js: numbered waves, each a list of spawn
+ * groups (a type - or a pick from the spawn table - a count, a formation and
+ * a delay from the start of the wave) and an optional boss, with a break
+ * between waves. A wave is clear once everything it spawned, including split
+ * children and summoned adds, has died and all its groups are out. Past the
+ * end of the script, waves loop back to loop.fromWave with their counts
+ * scaled up by loop.countScale each time round
+ */
+
+import { getMonsterType, pickMonsterType } from './monster-types.js';
+import defaultScript from './waves-data.js';
+
+// How far outside the canvas formations spawn
+const EDGE_OFFSET = 30;
+
+// Radius monsters of a cluster are scattered over
+const CLUSTER_RADIUS = 60;
+
+/**
+ * Spawn formations by name
+ * Each is called as formation(spawner, count) and returns count positions,
+ * drawing any randomness from the spawner's rng
+ */
+const SPAWN_FORMATIONS = {
+    // Random points along random edges, like the original spawner
+    edgeFlood(spawner, count) {
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            positions.push(spawner.pickEdgePosition(EDGE_OFFSET));
+        }
+        return positions;
+    },
+
+    // Evenly spaced on a circle around the whole canvas, closing in from every side at once
+    ring(spawner, count) {
+        const { width, height } = spawner.canvas;
+        const radius = Math.sqrt(width * width + height * height) / 2 + EDGE_OFFSET;
+        const startAngle = spawner.rng.next() * Math.PI * 2;
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (Math.PI * 2 * i) / count;
+            positions.push({ x: width / 2 + Math.cos(angle) * radius, y: height / 2 + Math.sin(angle) * radius });
+        }
+        return positions;
+    },
+
+    // Evenly spaced along the whole of one random edge
+    line(spawner, count) {
+        const { width, height } = spawner.canvas;
+        const side = spawner.rng.int(4); // 0: top, 1: right, 2: bottom, 3: left
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const t = (i + 0.5) / count;
+            switch (side) {
+                case 0: positions.push({ x: t * width, y: -EDGE_OFFSET }); break;
+                case 1: positions.push({ x: width + EDGE_OFFSET, y: t * height }); break;
+                case 2: positions.push({ x: t * width, y: height + EDGE_OFFSET }); break;
+                case 3: positions.push({ x: -EDGE_OFFSET, y: t * height }); break;
+            }
+        }
+        return positions;
+    },
+
+    // Scattered around one random point outside an edge
+    cluster(spawner, count) {
+        const center = spawner.pickEdgePosition(EDGE_OFFSET + CLUSTER_RADIUS);
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const angle = spawner.rng.next() * Math.PI * 2;
+            const distance = Math.sqrt(spawner.rng.next()) * CLUSTER_RADIUS;
+            positions.push({ x: center.x + Math.cos(angle) * distance, y: center.y + Math.sin(angle) * distance });
+        }
+        return positions;
+    }
+};
+
+export class WaveDirector {
+    /**
+     * @param {MonsterSpawner} spawner - Creates the monsters, and provides the canvas, rng and difficulty
+     * @param {Object} script - Wave script in the shape of waves-data.js
+     * @throws {Error} - If the script names an unknown monster type or formation
+     */
+    constructor(spawner, script = defaultScript) {
+        checkScript(script);
+        this.spawner = spawner;
+        this.script = script;
+        this.number = 0; // Current wave, 0 before the first
+        this.inBreak = true; // True between waves, and before the first
+        this.breakTimer = script.firstBreak; // ms left of the current break
+        this.waveTime = 0; // ms since the current wave started
+        this.queue = []; // Groups of the current wave still to spawn
+        this.remaining = 0; // Monsters of the current wave alive or still to spawn
+        this.wavesCleared = 0;
+    }
+
+    update(deltaTime, monsters) {
+        if (this.inBreak) {
+            this.breakTimer -= deltaTime * 1000;
+            if (this.breakTimer <= 0) {
+                this.startWave(this.number + 1, monsters);
+            }
+            return;
+        }
+
+        this.waveTime += deltaTime * 1000;
+        this.spawnDueGroups(monsters);
+
+        if (this.countRemaining(monsters) === 0) {
+            this.wavesCleared++;
+            this.inBreak = true;
+            this.breakTimer = this.script.breakTime;
+        }
+    }
+
+    startWave(number, monsters) {
+        const { definition, countScale } = this.getWaveDefinition(number);
+        this.number = number;
+        this.inBreak = false;
+        this.waveTime = 0;
+        this.queue = definition.groups.map(group => ({
+            type: group.type ? getMonsterType(group.type) : null,
+            count: Math.round(group.count * countScale),
+            formation: group.formation,
+            delay: group.delay || 0
+        }));
+
+        if (definition.boss) {
+            this.spawner.spawnBoss(monsters, getMonsterType(definition.boss)).wave = number;
+        }
+        this.spawnDueGroups(monsters);
+        this.countRemaining(monsters);
+    }
+
+    // Count the wave's monsters still alive or waiting to spawn - monsters only ever leave by dying,
+    // so none left means the wave was killed
+    countRemaining(monsters) {
+        let remaining = 0;
+        monsters.forEach(monster => {
+            if (monster.isActive && monster.wave === this.number) remaining++;
+        });
+        this.queue.forEach(group => {
+            remaining += group.count;
+        });
+        this.remaining = remaining;
+        return remaining;
+    }
+
+    /**
+     * The script entry for a wave, looping past the end of the script
+     * @param {number} number - Wave number, from 1
+     * @returns {{definition: Object, countScale: number}} - Script entry and the factor to scale its counts by
+     */
+    getWaveDefinition(number) {
+        const { waves, loop } = this.script;
+        if (number <= waves.length) {
+            return { definition: waves[number - 1], countScale: 1 };
+        }
+
+        const loopStart = loop.fromWave - 1;
+        const loopLength = waves.length - loopStart;
+        const past = number - waves.length - 1;
+        return {
+            definition: waves[loopStart + (past % loopLength)],
+            countScale: Math.pow(loop.countScale, Math.floor(past / loopLength) + 1)
+        };
+    }
+
+    // Spawn the groups whose delay has passed, as far as the on-screen cap allows - the rest waits for room
+    spawnDueGroups(monsters) {
+        const { maxMonstersOnScreen } = this.script;
+        this.queue.forEach(group => {
+            if (group.delay > this.waveTime) return;
+
+            const count = Math.min(group.count, maxMonstersOnScreen - monsters.length);
+            if (count <= 0) return;
+
+            SPAWN_FORMATIONS[group.formation](this.spawner, count).forEach(({ x, y }) => {
+                const type = group.type || pickMonsterType(this.spawner.difficulty, this.spawner.rng);
+                const monster = this.spawner.createMonster(type, x, y);
+                monster.wave = this.number;
+                monsters.push(monster);
+            });
+            group.count -= count;
+        });
+        this.queue = this.queue.filter(group => group.count > 0);
+    }
+
+    // Wave number, monsters left and seconds until the next wave (0 during a wave), for the HUD and snapshots
+    getStatus() {
+        return {
+            number: this.number,
+            remaining: this.inBreak ? 0 : this.remaining,
+            countdown: this.inBreak ? Math.max(0, this.breakTimer / 1000) : 0
+        };
+    }
+}
+
+/**
+ * HUD text for a wave status, in the style of the FPS line's other suffixes
+ * @param {{number: number, remaining: number, countdown: number}} status - From WaveDirector.getStatus or a snapshot
+ * @returns {string} - ' - WAVE 3 (120 LEFT)' during a wave, ' - WAVE 4 IN 3s' during a break
+ */
+export function formatWaveStatus(status) {
+    if (status.countdown > 0 || status.number === 0) {
+        return ` - WAVE ${status.number + 1} IN ${Math.ceil(status.countdown)}s`;
+    }
+    return ` - WAVE ${status.number} (${status.remaining} LEFT)`;
+}
+
+function checkScript(script) {
+    script.waves.forEach((wave, index) => {
+        if (wave.boss && !getMonsterType(wave.boss).boss) {
+            throw new Error(`Wave ${index + 1}: ${wave.boss} is not a boss`);
+        }
+        wave.groups.forEach(group => {
+            if (group.type) getMonsterType(group.type);
+            if (!SPAWN_FORMATIONS[group.formation]) {
+                throw new Error(`Wave ${index + 1}: unknown formation ${group.formation}`);
+            }
+        });
+    });
+    if (script.loop.fromWave < 1 || script.loop.fromWave > script.waves.length) {
+        throw new Error(`Wave loop must start at a scripted wave (got ${script.loop.fromWave})`);
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * Default wave script, run by wave-director.js
+ * A plain module rather than JSON, so loading it needs no import attributes
+ */
+
+export default {
+    "firstBreak": 0,
+    "breakTime": 5000,
+    "maxMonstersOnScreen": 500,
+    "waves": [
+        {
+            "groups": [
+                { "type": "chaser", "count": 150, "formation": "edgeFlood" }
+            ]
+        },
+        {
+            "groups": [
+                { "type": "chaser", "count": 150, "formation": "edgeFlood" },
+                { "type": "chaser", "count": 48, "formation": "ring", "delay": 5000 }
+            ]
+        },
+        {
+            "groups": [
+                { "count": 200, "formation": "edgeFlood" },
+                { "type": "orbiter", "count": 24, "formation": "ring", "delay": 4000 },
+                { "type": "charger", "count": 12, "formation": "line", "delay": 8000 }
+            ]
+        },
+        {
+            "groups": [
+                { "count": 250, "formation": "edgeFlood" },
+                { "type": "kiter", "count": 20, "formation": "cluster", "delay": 3000 },
+                { "type": "splitter", "count": 10, "formation": "cluster", "delay": 8000 }
+            ]
+        },
+        {
+            "boss": "warden",
+            "groups": [
+                { "count": 150, "formation": "edgeFlood", "delay": 2000 }
+            ]
+        },
+        {
+            "groups": [
+                { "count": 300, "formation": "edgeFlood" },
+                { "type": "charger", "count": 30, "formation": "line", "delay": 5000 },
+                { "type": "orbiter", "count": 40, "formation": "ring", "delay": 10000 }
+            ]
+        },
+        {
+            "boss": "hive",
+            "groups": [
+                { "count": 200, "formation": "edgeFlood", "delay": 2000 },
+                { "type": "kiter", "count": 30, "formation": "ring", "delay": 8000 }
+            ]
+        }
+    ],
+    "loop": { "fromWave": 6, "countScale": 1.25 }
+};
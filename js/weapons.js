@@ -0,0 +1,279 @@
+/**
+ * Player weapons
+ * A weapon has its own cooldown and firing logic, and the player holds any
+ * number of them at once, updating each every simulation step. Everything a
+ * weapon fires is an ordinary Bullet (or a subclass) in the game's bullet
+ * list, so the original collision code and the collision workers handle it
+ * without knowing which weapon it came from: beams and novas are single-pass
+ * bullets (see Bullet.hitsOnce), and homing missiles and boomerangs move
+ * themselves. Kinds are registered by name with registerWeaponKind, so new
+ * ones need no change to Player
+ */
+
+import { BoomerangBullet, Bullet, BulletFactory, OrbitingBullet } from './bullet.js';
+
+// Radians between the bullets of a multishot volley
+const MULTISHOT_SPREAD = 0.12;
+
+// Pierce count of single-pass bullets - finite, so a spent one (currentPierceCount Infinity) is past it
+const AREA_PIERCE = 1000;
+
+export class Weapon {
+    /**
+     * @param {string} kind - Name the kind is registered under
+     * @param {number} interval - ms between volleys, before the player's fireRateMultiplier
+     */
+    constructor(kind, interval) {
+        this.kind = kind;
+        this.interval = interval;
+        this.cooldown = 0;
+        this.level = 1;
+    }
+
+    /**
+     * Advance one simulation step - count the cooldown down and fire once it is up and there is a target
+     * @param {number} deltaTime - Step size in seconds
+     * @param {Player} player - Holder, for its position, aim and upgrade stats
+     * @param {Monster|null} target - Monster the player aims at, or null if there is none
+     * @param {Array} monsters - Every monster, for weapons that pick their own targets
+     * @param {Array} bullets - Game bullet list new bullets go onto
+     * @param {boolean} shootingEnabled - False keeps the cooldown running without firing
+     */
+    update(deltaTime, player, target, monsters, bullets, shootingEnabled) {
+        this.cooldown -= deltaTime * 1000;
+        if (this.cooldown > 0 || !target) return;
+
+        if (shootingEnabled) {
+            this.fire(player, target, monsters, bullets);
+        }
+        this.cooldown = this.interval * player.fireRateMultiplier;
+    }
+
+    /**
+     * Fire one volley - every kind overrides this
+     * @param {Player} player - Holder
+     * @param {Monster} target - Monster the player aims at
+     * @param {Array} monsters - Every monster
+     * @param {Array} bullets - Game bullet list new bullets go onto
+     */
+    fire(player, target, monsters, bullets) {
+        throw new Error(`Weapon ${this.kind} does not implement fire`);
+    }
+
+    // One more stack of the weapon's upgrade - a 20% shorter interval unless the kind says otherwise
+    levelUp() {
+        this.level++;
+        this.interval *= 0.8;
+    }
+}
+
+// Straight bullets of the player's bullet tier - the starting weapon, and the one Multishot, Pierce and Bullet Speed improve
+export class BlasterWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 150);
+    }
+
+    fire(player, target, monsters, bullets) {
+        const count = player.projectileCount;
+        const firstAngle = player.aimAngle - (MULTISHOT_SPREAD * (count - 1)) / 2;
+        for (let i = 0; i < count; i++) {
+            bullets.push(BulletFactory.createPlayerBullet(player.x, player.y, firstAngle + MULTISHOT_SPREAD * i, player.bulletLevel,
+                player.gameCanvas, player.bulletSpeedMultiplier, player.pierceBonus));
+        }
+    }
+}
+
+// A wide fan of short-lived pellets
+export class ShotgunWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 900);
+        this.pellets = 7;
+        this.spread = 0.7; // Radians the whole fan covers
+    }
+
+    fire(player, target, monsters, bullets) {
+        const firstAngle = player.aimAngle - this.spread / 2;
+        for (let i = 0; i < this.pellets; i++) {
+            const angle = firstAngle + (this.spread * i) / (this.pellets - 1);
+            const pellet = new Bullet(player.x, player.y, angle, 650 * player.bulletSpeedMultiplier, 20, 4, '#FFDD00', true,
+                1 + player.pierceBonus, player.gameCanvas);
+            pellet.lifetime = 0.4;
+            bullets.push(pellet);
+        }
+    }
+
+    levelUp() {
+        this.level++;
+        this.pellets += 2;
+    }
+}
+
+// Missiles that turn towards their target, and pick the monster nearest to them when it dies
+export class HomingWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 700);
+        this.turnRate = 5; // Radians per second
+        this.missiles = []; // Missiles still in flight, steered every step
+    }
+
+    update(deltaTime, player, target, monsters, bullets, shootingEnabled) {
+        super.update(deltaTime, player, target, monsters, bullets, shootingEnabled);
+
+        this.missiles = this.missiles.filter(missile => missile.isActive);
+        this.missiles.forEach(missile => {
+            if (!missile.target || !missile.target.isActive) {
+                missile.target = player.targetIndex.nearest(missile.x, missile.y);
+            }
+            if (missile.target) {
+                this.steer(missile, deltaTime);
+            }
+        });
+    }
+
+    // Turn towards the target by at most turnRate
+    steer(missile, deltaTime) {
+        const wanted = Math.atan2(missile.target.y - missile.y, missile.target.x - missile.x);
+        let turn = wanted - missile.angle;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way round
+        const maxTurn = this.turnRate * deltaTime;
+        missile.setAngle(missile.angle + Math.max(-maxTurn, Math.min(maxTurn, turn)));
+    }
+
+    // Two missiles launched off to either side, curving in
+    fire(player, target, monsters, bullets) {
+        [-0.6, 0.6].forEach(offset => {
+            const missile = new Bullet(player.x, player.y, player.aimAngle + offset, 400 * player.bulletSpeedMultiplier, 60, 6,
+                '#FF8844', true, 0, player.gameCanvas);
+            missile.lifetime = 3;
+            missile.target = target;
+            this.missiles.push(missile);
+            bullets.push(missile);
+        });
+    }
+}
+
+// A beam along the aim that hits everything on it once, tested as a segment against each monster's circle
+export class LaserWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 1200);
+        this.length = 600;
+    }
+
+    fire(player, target, monsters, bullets) {
+        const beam = new Bullet(player.x, player.y, player.aimAngle, 0, 80, 5, '#FF00FF', true, AREA_PIERCE, player.gameCanvas);
+        beam.length = this.length;
+        beam.hitsOnce = true;
+        beam.lifetime = 0.25; // How long it stays on screen - it waits for its collision pass if that comes later
+        bullets.push(beam);
+    }
+}
+
+// A burst around the player that hits everything in its radius once
+export class NovaWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 2500);
+        this.radius = 160;
+    }
+
+    fire(player, target, monsters, bullets) {
+        const nova = new Bullet(player.x, player.y, 0, 0, 50, this.radius, 'rgba(255, 136, 255, 0.35)', true, AREA_PIERCE,
+            player.gameCanvas);
+        nova.hitsOnce = true;
+        nova.lifetime = 0.25;
+        bullets.push(nova);
+    }
+
+    levelUp() {
+        this.level++;
+        this.interval *= 0.8;
+        this.radius += 30;
+    }
+}
+
+// Flies out along the aim, slows, and comes back to the player, piercing everything both ways
+export class BoomerangWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 1400);
+        this.range = 350;
+    }
+
+    fire(player, target, monsters, bullets) {
+        bullets.push(new BoomerangBullet(player, player.aimAngle, 500 * player.bulletSpeedMultiplier, 35, 9, '#AAFF44',
+            this.range, player.gameCanvas));
+    }
+}
+
+// Projectiles circling the player, each refilled a while after it is spent - turns whether or not there is a target
+export class OrbitalsWeapon extends Weapon {
+    constructor(kind) {
+        super(kind, 0);
+        this.count = 1; // Orbiting slots
+        this.angle = 0; // Turn of the whole orbit, read by OrbitingBullet
+        this.angularSpeed = 3; // Radians per second
+        this.recharge = 1; // Seconds before a spent slot refills
+        this.orbs = []; // Orbiting bullet in each slot, or null while it recharges
+        this.rechargeLeft = []; // Seconds until each empty slot refills
+    }
+
+    update(deltaTime, player, target, monsters, bullets, shootingEnabled) {
+        if (!shootingEnabled) return;
+
+        this.angle = (this.angle + this.angularSpeed * deltaTime) % (Math.PI * 2);
+        for (let slot = 0; slot < this.count; slot++) {
+            const orb = this.orbs[slot];
+            if (orb && orb.isActive) continue;
+
+            if (orb) {
+                this.orbs[slot] = null;
+                this.rechargeLeft[slot] = this.recharge;
+            }
+            this.rechargeLeft[slot] = (this.rechargeLeft[slot] || 0) - deltaTime;
+            if (this.rechargeLeft[slot] <= 0) {
+                this.orbs[slot] = new OrbitingBullet(player, this, slot, player.gameCanvas);
+                bullets.push(this.orbs[slot]);
+            }
+        }
+    }
+
+    levelUp() {
+        this.level++;
+        this.count++;
+    }
+}
+
+/**
+ * Weapon kinds by name - register more with registerWeaponKind
+ * Each is a Weapon subclass constructed as new WeaponClass(kind)
+ */
+export const WEAPON_KINDS = {
+    blaster: BlasterWeapon,
+    shotgun: ShotgunWeapon,
+    homing: HomingWeapon,
+    laser: LaserWeapon,
+    nova: NovaWeapon,
+    boomerang: BoomerangWeapon,
+    orbitals: OrbitalsWeapon
+};
+
+/**
+ * Add a weapon kind the player can be given
+ * @param {string} kind - Name to create it by
+ * @param {Function} WeaponClass - Weapon subclass, constructed as new WeaponClass(kind)
+ */
+export function registerWeaponKind(kind, WeaponClass) {
+    WEAPON_KINDS[kind] = WeaponClass;
+}
+
+/**
+ * Create a weapon of a registered kind
+ * @param {string} kind - Registered name
+ * @returns {Weapon} - The weapon, ready to fire
+ * @throws {Error} - If no kind has that name
+ */
+export function createWeapon(kind) {
+    const WeaponClass = WEAPON_KINDS[kind];
+    if (!WeaponClass) {
+        throw new Error(`Unknown weapon kind: ${kind}`);
+    }
+    return new WeaponClass(kind);
+}
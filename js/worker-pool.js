@@ -0,0 +1,288 @@
+/**
+ * Pool of collision workers
+ * With one worker the whole game state is sent as before. With more, the
+ * work is split into strips (see collision-partition.js), every worker gets
+ * its strip in the same dispatch, and the partial results are merged once
+ * the last worker has replied. Both transports are supported: each worker
+ * gets its own buffer pool, or its own shared memory channel
+ *
+ * A watchdog restarts any worker that reports an error event or misses its
+ * reply deadline, so a crashed or hung worker can not stall collisions. The
+ * pool stays degraded - callers run collisions themselves - until a dispatch
+ * completes without a restart
+ */
+
+import { BROADPHASE_BRUTE_FORCE } from './broadphase.js';
+import { BufferPool } from './buffer-pool.js';
+import { partitionCollisionWork } from './collision-partition.js';
+import { getTimestamp } from './simulation.js';
+import { SharedCollisionChannel, TRANSPORT_SHARED, TRANSPORT_TRANSFERABLE } from './shared-transport.js';
+import {
+    serializeGameState,
+    serializePartition,
+    deserializeResults,
+    mergeCollisionResults
+} from './worker-protocol.js';
+
+// How long a worker may take to reply before it is considered hung and restarted
+export const DEFAULT_REPLY_TIMEOUT_MS = 1000;
+
+// Pool size for a machine - every core but the one running the main thread
+export function getDefaultWorkerPoolSize(hardwareConcurrency) {
+    return Math.max(1, (hardwareConcurrency || 2) - 1);
+}
+
+export class CollisionWorkerPool {
+    /**
+     * @param {Object} options
+     * @param {number} options.size - Number of collision workers
+     * @param {Function} options.createWorker - Called with a message callback and an error callback, returns a
+     *                                          started worker that passes every message it posts (the message
+     *                                          data) to the first, and any error or message error event to the second
+     * @param {string} options.transport - TRANSPORT_TRANSFERABLE or TRANSPORT_SHARED
+     * @param {boolean} options.bufferPool - False to allocate a fresh input buffer for every message
+     * @param {number} options.replyTimeout - Milliseconds a worker may take to reply before it is restarted
+     */
+    constructor({
+        size,
+        createWorker,
+        transport = TRANSPORT_TRANSFERABLE,
+        bufferPool = true,
+        replyTimeout = DEFAULT_REPLY_TIMEOUT_MS
+    }) {
+        this.size = Math.max(1, Math.floor(size));
+        this.createWorker = createWorker;
+        this.transport = transport;
+        this.replyTimeout = replyTimeout;
+        this.partitions = []; // Reused between dispatches
+        this.pending = 0; // Workers that have not replied to the last dispatch
+        this.dispatched = false; // True from dispatch until collect hands out the merged results
+        this.sentPlayer = { x: 0, y: 0 }; // Player position the last dispatch was computed from
+
+        // Watchdog
+        this.restarts = 0; // Workers terminated and respawned
+        this.degraded = false; // True from a restart until a dispatch completes without one
+        this.dispatchFailed = false; // A worker was restarted before replying to the last dispatch
+
+        this.members = [];
+        for (let i = 0; i < this.size; i++) {
+            const member = {
+                index: i,
+                worker: null,
+                channel: null, // Shared memory channel when transport is shared
+                inputBufferPool: new BufferPool(bufferPool), // Input buffers, handed back by the worker
+                returnedResultBuffer: null, // Worker's last result buffer, handed back with the next send
+                awaiting: false, // True from send until the worker replies or is restarted
+                sendTime: 0, // When the last dispatch was sent, for the reply deadline
+                reply: null // Reply to the last dispatch, or null if it has not arrived or failed
+            };
+            this.spawnWorker(member);
+            this.members.push(member);
+        }
+    }
+
+    // Start a worker for a member - events from a worker that has since been replaced are ignored
+    spawnWorker(member) {
+        const worker = this.createWorker(
+            message => {
+                if (member.worker === worker) this.handleMessage(member, message);
+            },
+            error => {
+                if (member.worker === worker) this.restartWorker(member, error);
+            }
+        );
+        member.worker = worker;
+        member.channel = this.transport === TRANSPORT_SHARED ? new SharedCollisionChannel(worker) : null;
+        member.awaiting = false;
+    }
+
+    // Terminate a crashed or hung worker and start a fresh one in its place
+    restartWorker(member, reason) {
+        console.error(`Collision worker ${member.index} failed - restarting:`, reason);
+        member.worker.terminate();
+        this.restarts++;
+        this.degraded = true;
+
+        // Its share of the current dispatch is lost
+        if (member.awaiting) {
+            member.reply = null;
+            this.pending--;
+            this.dispatchFailed = true;
+        }
+        this.spawnWorker(member);
+    }
+
+    // Restart every worker that has been processing for longer than the reply deadline
+    checkDeadlines(now) {
+        this.members.forEach(member => {
+            if (member.awaiting && now - member.sendTime > this.replyTimeout) {
+                this.restartWorker(member, `no reply within ${this.replyTimeout}ms`);
+            }
+        });
+    }
+
+    // Record a worker's reply (null if it failed) to the last dispatch
+    settle(member, reply) {
+        if (!member.awaiting) return;
+        member.awaiting = false;
+        member.reply = reply;
+        this.pending--;
+    }
+
+    // True while any worker is still processing the last dispatch
+    get busy() {
+        return this.pending > 0;
+    }
+
+    /**
+     * Send the collision-relevant state to every worker
+     * @param {Object} gameState - Game state with player, monsters and bullets
+     * @param {string} broadphaseMode - Broadphase the workers should use
+     */
+    dispatch(gameState, broadphaseMode) {
+        const { player } = gameState;
+        this.sentPlayer.x = player.x;
+        this.sentPlayer.y = player.y;
+        this.pending = this.size;
+        this.dispatched = true;
+
+        if (this.size === 1) {
+            this.send(this.members[0], broadphaseMode, pool => serializeGameState(gameState, pool));
+            return;
+        }
+
+        const partitions = partitionCollisionWork(gameState, this.size, this.partitions);
+        this.members.forEach((member, i) => {
+            this.send(member, broadphaseMode, pool => serializePartition(player, partitions[i], pool));
+        });
+    }
+
+    // Encode with the member's transport and hand the work to its worker
+    send(member, broadphaseMode, encode) {
+        member.reply = null;
+        member.awaiting = true;
+        member.sendTime = getTimestamp();
+
+        if (member.channel) {
+            // Shared transport - write straight into shared memory and wake the worker
+            encode(member.channel.inputRegion);
+            member.channel.publish(broadphaseMode === BROADPHASE_BRUTE_FORCE);
+            return;
+        }
+
+        // Transferable transport - hand back the worker's last result buffer for reuse
+        const { buffer, byteLength } = encode(member.inputBufferPool);
+        const returnedBuffer = member.returnedResultBuffer;
+        member.returnedResultBuffer = null;
+        member.worker.postMessage({
+            type: 'processCollisions',
+            buffer: buffer,
+            byteLength: byteLength,
+            returnedBuffer: returnedBuffer,
+            bufferPool: member.inputBufferPool.enabled,
+            broadphase: broadphaseMode
+        }, returnedBuffer ? [buffer, returnedBuffer] : [buffer]);
+    }
+
+    // Store a worker's reply until every worker has answered
+    handleMessage(member, message) {
+        switch (message.type) {
+            case 'collisionResults':
+                // The input buffer came back with the results - keep it for the next send
+                member.inputBufferPool.release(message.returnedBuffer);
+                this.settle(member, {
+                    buffer: message.buffer,
+                    processTime: message.processTime,
+                    resultPoolHits: message.resultPoolHits,
+                    resultPoolMisses: message.resultPoolMisses
+                });
+                break;
+
+            case 'error':
+                console.error(`Worker error${message.code ? ` (${message.code})` : ''}:`, message.error);
+                // The shared transport still publishes a failed result generation, which poll picks up
+                if (!member.channel) {
+                    this.settle(member, null);
+                }
+                break;
+        }
+    }
+
+    // Shared transport - pick up results once a worker has published the generation we sent
+    pollShared() {
+        this.members.forEach(member => {
+            const result = member.channel && member.channel.poll();
+            if (!result) return;
+
+            // A failed generation was already reported by the worker as an error message
+            this.settle(member, result.ok ? { sharedBuffer: member.channel.resultRegion.buffer, processTime: result.processTime } : null);
+        });
+    }
+
+    /**
+     * Take the merged results of the last dispatch once every worker has replied
+     * @returns {Object|null} - { results, processTime, resultPoolHits, resultPoolMisses }, where results is
+     *                          null if every worker failed or one was restarted, and processTime is the slowest
+     *                          worker's; null while busy
+     * @throws {ProtocolError} - If a reply is malformed
+     */
+    collect() {
+        this.pollShared();
+        this.checkDeadlines(getTimestamp());
+        if (!this.dispatched || this.pending > 0) {
+            return null;
+        }
+        this.dispatched = false;
+
+        // A restarted worker's strip is missing - the caller has run collisions itself meanwhile
+        const dispatchFailed = this.dispatchFailed;
+        this.dispatchFailed = false;
+        if (!dispatchFailed) {
+            this.degraded = false;
+        }
+
+        // Take every reply first, so result buffers go back to their workers even if one fails to decode
+        const replies = [];
+        this.members.forEach(member => {
+            if (member.reply) {
+                replies.push(member.reply);
+                if (member.reply.buffer) {
+                    member.returnedResultBuffer = member.reply.buffer;
+                }
+                member.reply = null;
+            }
+        });
+
+        const collected = { results: null, processTime: 0, resultPoolHits: 0, resultPoolMisses: 0 };
+        replies.forEach(reply => {
+            collected.processTime = Math.max(collected.processTime, reply.processTime);
+            collected.resultPoolHits += reply.resultPoolHits || 0;
+            collected.resultPoolMisses += reply.resultPoolMisses || 0;
+        });
+
+        if (dispatchFailed) {
+            return collected;
+        }
+
+        // Shared results are read in place - nothing to hand back
+        const partials = replies.map(reply => deserializeResults(reply.sharedBuffer || reply.buffer));
+        collected.results = mergeCollisionResults(partials, this.sentPlayer);
+        return collected;
+    }
+
+    // Read and zero the input buffer pool hit/miss counters of every worker
+    takeInputPoolStats() {
+        const stats = { hits: 0, misses: 0 };
+        this.members.forEach(member => {
+            const memberStats = member.inputBufferPool.takeStats();
+            stats.hits += memberStats.hits;
+            stats.misses += memberStats.misses;
+        });
+        return stats;
+    }
+
+    // Stop every worker - returns their termination results (promises under Node)
+    terminate() {
+        return this.members.map(member => member.worker.terminate());
+    }
+}
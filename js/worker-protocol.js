@@ -0,0 +1,726 @@
+/**
+ * Wire format for collision work sent between the main thread and the worker
+ * Imported by the worker page, the collision worker and the
+ * headless benchmark, so both sides always agree on the layout
+ *
+ * The layouts are declared as schemas (see protocol-schema.js); to send a new
+ * entity field, add it to the schema and bump PROTOCOL_VERSION
+ */
+
+import { BULLET_COLORS } from './bullet.js';
+import { BULLET_HIT_SCORE } from './collision.js';
+import { getMonsterTypeByIndex } from './monster-types.js';
+import { collectPickup, describePowerUp, dropPickups, getPickupKind, getPickupKindByIndex } from './pickups.js';
+import { PLAYER_COLOR, PLAYER_FLASH_COLOR } from './player.js';
+import { createCodec, FIELD_F32, FIELD_U32, FIELD_BOOL } from './protocol-schema.js';
+import { getTargetingMode, getTargetingModeByIndex } from './targeting.js';
+import { describeUpgrade, getUpgradeByIndex, getUpgradeStacks, listChosenUpgrades } from './upgrades.js';
+
+// Main thread -> worker: collision input
+export const COLLISION_INPUT_SCHEMA = {
+    name: 'collisionInput',
+    type: 1,
+    fields: [['ownedMonsterCount', FIELD_U32]],
+    records: {
+        player: [['x', FIELD_F32], ['y', FIELD_F32], ['radius', FIELD_F32]]
+    },
+    sections: {
+        monsters: [
+            ['id', FIELD_U32],
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['mass', FIELD_F32], // Bosses outweigh the monsters they shove
+            ['health', FIELD_F32],
+            ['contactDamage', FIELD_F32]
+        ],
+        bullets: [
+            ['id', FIELD_U32],
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['damage', FIELD_F32],
+            ['isPlayerBullet', FIELD_BOOL],
+            ['currentPierceCount', FIELD_F32],
+            ['maxPierceCount', FIELD_F32],
+            ['angle', FIELD_F32], // With length, the segment a beam covers
+            ['length', FIELD_F32],
+            ['hitsOnce', FIELD_BOOL],
+            ['leg', FIELD_U32] // Echoed in the bullet's hits
+        ],
+        // Monsters each bullet has already hit, one entry per pair - the worker skips them
+        bulletHits: [['bulletId', FIELD_U32], ['monsterId', FIELD_U32]],
+        // Only the player collects pickups, so only one worker of a pool gets them
+        pickups: [['id', FIELD_U32], ['x', FIELD_F32], ['y', FIELD_F32], ['radius', FIELD_F32]]
+    }
+};
+
+// Worker -> main thread: collision results
+export const COLLISION_RESULTS_SCHEMA = {
+    name: 'collisionResults',
+    type: 2,
+    // playerDamage is the largest single hit on the player - invulnerability lets only one land per batch
+    fields: [['playerDamage', FIELD_F32], ['ownedMonsterCount', FIELD_U32]],
+    records: {
+        player: [['x', FIELD_F32], ['y', FIELD_F32]]
+    },
+    sections: {
+        monsters: [['id', FIELD_U32], ['x', FIELD_F32], ['y', FIELD_F32]],
+        bullets: [['id', FIELD_U32], ['isActive', FIELD_BOOL], ['currentPierceCount', FIELD_F32]],
+        // Every new bullet-monster hit of the batch, applied (and scored) by the main thread
+        hits: [
+            ['bulletId', FIELD_U32],
+            ['monsterId', FIELD_U32],
+            ['damage', FIELD_F32],
+            ['isPlayerBullet', FIELD_BOOL],
+            ['leg', FIELD_U32] // A hit from a leg the bullet has left (a boomerang that turned back) is dropped
+        ],
+        pickups: [['id', FIELD_U32]] // Pickups the player touched, collected by the main thread
+    }
+};
+
+// The boss in play, for the health bar at the top of the canvas - inactive when there is none
+const BOSS_RECORD = [
+    ['typeIndex', FIELD_U32],
+    ['health', FIELD_F32],
+    ['maxHealth', FIELD_F32],
+    ['phase', FIELD_U32],
+    ['isActive', FIELD_BOOL]
+];
+
+// Stands in for the boss record between bosses
+const NO_BOSS = { typeIndex: 0, health: 0, maxHealth: 0, phase: 0, isActive: false };
+
+// The open upgrade draft as upgrade indices - one field per choice of UPGRADE_CHOICE_COUNT, NO_CHOICE where a draft has fewer
+const DRAFT_RECORD = [
+    ['choice0', FIELD_U32],
+    ['choice1', FIELD_U32],
+    ['choice2', FIELD_U32],
+    ['isOpen', FIELD_BOOL]
+];
+
+const NO_CHOICE = 0xFFFFFFFF;
+
+// Stands in for the draft record while no draft is open
+const NO_DRAFT = { choice0: NO_CHOICE, choice1: NO_CHOICE, choice2: NO_CHOICE, isOpen: false };
+
+// The monster the player targets, for the highlight - inactive when there is none
+const TARGET_RECORD = [
+    ['x', FIELD_F32],
+    ['y', FIELD_F32],
+    ['prevX', FIELD_F32],
+    ['prevY', FIELD_F32],
+    ['radius', FIELD_F32],
+    ['isActive', FIELD_BOOL]
+];
+
+// Stands in for the target record while nothing is targeted
+const NO_TARGET = { x: 0, y: 0, prevX: 0, prevY: 0, radius: 0, isActive: false };
+
+// One entry per upgrade the player has, for the upgrade panel
+const CHOSEN_UPGRADE_SECTION = [['index', FIELD_U32], ['stacks', FIELD_U32]];
+
+// Pickups to draw, colored by kind
+const PICKUP_SECTION = [
+    ['x', FIELD_F32],
+    ['y', FIELD_F32],
+    ['prevX', FIELD_F32],
+    ['prevY', FIELD_F32],
+    ['radius', FIELD_F32],
+    ['kindIndex', FIELD_U32]
+];
+
+// One entry per running power-up, for the level bar
+const POWER_UP_SECTION = [['kindIndex', FIELD_U32], ['timeLeft', FIELD_F32]];
+
+// Simulation worker -> main thread: everything the renderer and the UI need after a step
+export const SIMULATION_SNAPSHOT_SCHEMA = {
+    name: 'simulationSnapshot',
+    type: 3,
+    fields: [
+        ['tick', FIELD_U32],
+        ['alpha', FIELD_F32], // How far the worker's clock was past the last step when it posted
+        ['isGameOver', FIELD_BOOL],
+        ['upgradePoints', FIELD_U32],
+        ['targetingMode', FIELD_U32], // Index of the player's targeting mode, for the HUD
+        // Step timings summed since the previous snapshot
+        ['simulationSteps', FIELD_U32],
+        ['stepTime', FIELD_F32],
+        ['playerUpdateTime', FIELD_F32],
+        ['monsterUpdateTime', FIELD_F32],
+        ['bulletUpdateTime', FIELD_F32],
+        ['monsterSpawnTime', FIELD_F32],
+        ['collisionTime', FIELD_F32]
+    ],
+    records: {
+        player: [
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['aimAngle', FIELD_F32],
+            ['flashTime', FIELD_F32],
+            ['health', FIELD_F32],
+            ['score', FIELD_F32],
+            ['bulletLevel', FIELD_U32],
+            ['level', FIELD_U32], // With xp and xpToNextLevel, the level bar
+            ['xp', FIELD_F32],
+            ['xpToNextLevel', FIELD_F32],
+            ['isActive', FIELD_BOOL],
+            ['invincible', FIELD_BOOL] // Toggled by a logged input command, for the HUD
+        ],
+        boss: BOSS_RECORD,
+        draft: DRAFT_RECORD,
+        target: TARGET_RECORD,
+        wave: [
+            ['number', FIELD_U32],
+            ['remaining', FIELD_U32],
+            ['countdown', FIELD_F32] // Seconds until the next wave, 0 during a wave
+        ]
+    },
+    sections: {
+        monsters: [
+            ['id', FIELD_U32],
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['health', FIELD_F32],
+            ['maxHealth', FIELD_F32],
+            ['typeIndex', FIELD_U32]
+        ],
+        bullets: [
+            ['id', FIELD_U32],
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['angle', FIELD_F32],
+            ['length', FIELD_F32], // Beams are drawn as a line this long
+            ['colorIndex', FIELD_U32],
+            ['isPlayerBullet', FIELD_BOOL]
+        ],
+        pickups: PICKUP_SECTION,
+        upgrades: CHOSEN_UPGRADE_SECTION,
+        powerUps: POWER_UP_SECTION
+    }
+};
+
+// Main thread -> render worker: one frame to draw, already past the simulation
+export const RENDER_FRAME_SCHEMA = {
+    name: 'renderFrame',
+    type: 4,
+    fields: [['alpha', FIELD_F32], ['isGameOver', FIELD_BOOL]],
+    records: {
+        player: [
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['aimAngle', FIELD_F32],
+            ['flashTime', FIELD_F32],
+            ['score', FIELD_F32],
+            ['level', FIELD_U32],
+            ['xp', FIELD_F32],
+            ['xpToNextLevel', FIELD_F32],
+            ['isActive', FIELD_BOOL]
+        ],
+        boss: BOSS_RECORD,
+        draft: DRAFT_RECORD,
+        target: TARGET_RECORD
+    },
+    sections: {
+        monsters: [
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['health', FIELD_F32],
+            ['maxHealth', FIELD_F32],
+            ['typeIndex', FIELD_U32]
+        ],
+        bullets: [
+            ['x', FIELD_F32],
+            ['y', FIELD_F32],
+            ['prevX', FIELD_F32],
+            ['prevY', FIELD_F32],
+            ['radius', FIELD_F32],
+            ['angle', FIELD_F32],
+            ['length', FIELD_F32], // Beams are drawn as a line this long
+            ['colorIndex', FIELD_U32],
+            ['isPlayerBullet', FIELD_BOOL]
+        ],
+        pickups: PICKUP_SECTION,
+        upgrades: CHOSEN_UPGRADE_SECTION,
+        powerUps: POWER_UP_SECTION
+    }
+};
+
+// ownedMonsterCount when a single worker gets every monster - ghosts only exist in pool partitions
+export const ALL_MONSTERS_OWNED = 0xFFFFFFFF;
+
+const collisionInputCodec = createCodec(COLLISION_INPUT_SCHEMA);
+const collisionResultsCodec = createCodec(COLLISION_RESULTS_SCHEMA);
+const simulationSnapshotCodec = createCodec(SIMULATION_SNAPSHOT_SCHEMA);
+const renderFrameCodec = createCodec(RENDER_FRAME_SCHEMA);
+
+// Bullet-monster pairs of the collision input being encoded, reused between dispatches
+const sentBulletHits = [];
+
+// Only live entities are worth a collision check
+const ACTIVE_ENTITY_FILTERS = {
+    monsters: monster => monster.isActive,
+    bullets: bullet => bullet.isActive,
+    pickups: pickup => pickup.isActive
+};
+
+/**
+ * Serialize the collision-relevant game state into a transferable buffer
+ * @param {Object} gameState - Game state with player, monsters and bullets
+ * @param {BufferPool} pool - Optional pool to take the buffer from
+ * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded collision input
+ */
+export function serializeGameState(gameState, pool = null) {
+    const message = {
+        ownedMonsterCount: ALL_MONSTERS_OWNED,
+        player: gameState.player,
+        monsters: gameState.monsters,
+        bullets: gameState.bullets,
+        bulletHits: listBulletHits(gameState.bullets, sentBulletHits),
+        pickups: gameState.pickups
+    };
+    return collisionInputCodec.encode(message, ACTIVE_ENTITY_FILTERS, pool);
+}
+
+/**
+ * Serialize one worker's share of the collision work (see collision-partition.js)
+ * @param {Object} player - The player, sent to every worker
+ * @param {Object} partition - Owned monsters followed by ghosts, the strip's bullets, and the pickups if it takes them
+ * @param {BufferPool} pool - Optional pool to take the buffer from
+ * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded collision input
+ */
+export function serializePartition(player, partition, pool = null) {
+    return collisionInputCodec.encode({
+        ownedMonsterCount: partition.ownedMonsterCount,
+        player: player,
+        monsters: partition.monsters,
+        bullets: partition.bullets,
+        bulletHits: listBulletHits(partition.bullets, sentBulletHits),
+        pickups: partition.pickups
+    }, ACTIVE_ENTITY_FILTERS, pool);
+}
+
+// Every monster each active bullet has already hit, as { bulletId, monsterId } pairs - the entries are reused
+function listBulletHits(bullets, out) {
+    let count = 0;
+    bullets.forEach(bullet => {
+        if (!bullet.isActive) return;
+        bullet.hitMonsterIds.forEach(monsterId => {
+            const entry = out[count] || (out[count] = { bulletId: 0, monsterId: 0 });
+            entry.bulletId = bullet.id;
+            entry.monsterId = monsterId;
+            count++;
+        });
+    });
+    out.length = count;
+    return out;
+}
+
+/**
+ * Deserialize game data sent by the main thread
+ * @param {ArrayBuffer} buffer - Encoded collision input
+ * @returns {Object} - Player, monsters and bullets ready for collision processing
+ * @throws {ProtocolError} - If the buffer is malformed
+ */
+export function deserializeGameData(buffer) {
+    const data = collisionInputCodec.decode(buffer);
+
+    // Worker-side defaults that are not worth sending
+    data.player.mass = 1;
+    data.player.id = 0;
+    const bulletsById = new Map();
+    data.bullets.forEach(bullet => {
+        bullet.isActive = true;
+        bullet.hitMonsterIds = new Set();
+        bulletsById.set(bullet.id, bullet);
+    });
+
+    // Back into each bullet's set of monsters already hit, as on the main thread
+    data.bulletHits.forEach(pair => {
+        bulletsById.get(pair.bulletId).hitMonsterIds.add(pair.monsterId);
+    });
+
+    return data;
+}
+
+/**
+ * Serialize collision results into a transferable buffer
+ * @param {Object} results - Collision processing results
+ * @param {BufferPool} pool - Optional pool to take the buffer from
+ * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded results
+ */
+export function serializeResults(results, pool = null) {
+    return collisionResultsCodec.encode(results, {}, pool);
+}
+
+/**
+ * Deserialize collision results sent by the worker
+ * @param {ArrayBuffer} buffer - Encoded results
+ * @returns {Object} - Player position, monster and bullet updates, hits, and pickups collected
+ * @throws {ProtocolError} - If the buffer is malformed
+ */
+export function deserializeResults(buffer) {
+    return collisionResultsCodec.decode(buffer);
+}
+
+/**
+ * Serialize a render snapshot of the simulation worker's game state
+ * @param {Object} gameState - Simulation worker state with its timestep and step timings
+ * @param {BufferPool} pool - Optional pool to take the buffer from
+ * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded snapshot
+ */
+export function serializeSnapshot(gameState, pool = null) {
+    const { timestep, timings } = gameState;
+    return simulationSnapshotCodec.encode({
+        tick: timestep.tick,
+        alpha: timestep.alpha,
+        isGameOver: gameState.isGameOver,
+        upgradePoints: gameState.upgradePoints,
+        targetingMode: getTargetingMode(gameState.player.targetingMode).index,
+        ...timings,
+        player: gameState.player,
+        boss: gameState.monsterSpawner.getActiveBoss() || NO_BOSS,
+        draft: encodeDraft(gameState.upgradeDraft),
+        target: encodeTarget(gameState.player.target),
+        wave: gameState.monsterSpawner.waves.getStatus(),
+        monsters: gameState.monsters,
+        bullets: gameState.bullets,
+        pickups: gameState.pickups,
+        upgrades: encodeChosenUpgrades(gameState.player),
+        powerUps: encodePowerUps(gameState.powerUps)
+    }, ACTIVE_ENTITY_FILTERS, pool);
+}
+
+/**
+ * Deserialize a render snapshot posted by the simulation worker
+ * @param {ArrayBuffer} buffer - Encoded snapshot
+ * @returns {Object} - Snapshot fields, player, monsters and bullets ready to draw
+ * @throws {ProtocolError} - If the buffer is malformed
+ */
+export function deserializeSnapshot(buffer) {
+    const snapshot = simulationSnapshotCodec.decode(buffer);
+
+    // Render-side defaults that are not worth sending - only active entities are in a snapshot
+    snapshot.player.color = snapshot.player.flashTime > 0 ? PLAYER_FLASH_COLOR : PLAYER_COLOR;
+    snapshot.boss = decodeBoss(snapshot.boss);
+    snapshot.targetingMode = getTargetingModeByIndex(snapshot.targetingMode).id;
+    snapshot.target = snapshot.target.isActive ? snapshot.target : null;
+    decodeUpgrades(snapshot);
+    snapshot.monsters.forEach(monster => {
+        const type = getMonsterTypeByIndex(monster.typeIndex);
+        monster.isActive = true;
+        monster.color = type.color;
+        monster.isBoss = Boolean(type.boss);
+    });
+    snapshot.bullets.forEach(bullet => {
+        bullet.isActive = true;
+        bullet.color = BULLET_COLORS[bullet.colorIndex];
+    });
+    decodePickups(snapshot);
+
+    return snapshot;
+}
+
+// Turn a decoded boss record into what drawBossHealthBar takes, or null if there is no boss
+function decodeBoss(record) {
+    if (!record.isActive) return null;
+
+    const { boss } = getMonsterTypeByIndex(record.typeIndex);
+    return {
+        name: boss.name,
+        health: record.health,
+        maxHealth: record.maxHealth,
+        phase: record.phase,
+        phaseCount: boss.phases.length
+    };
+}
+
+// The targeted monster while it is alive, or the NO_TARGET placeholder
+function encodeTarget(target) {
+    return target && target.isActive ? target : NO_TARGET;
+}
+
+// Upgrade indices of an open draft, or the NO_DRAFT placeholder
+function encodeDraft(draft) {
+    if (!draft) return NO_DRAFT;
+
+    const record = { ...NO_DRAFT, isOpen: true };
+    draft.forEach((upgrade, i) => {
+        record[`choice${i}`] = upgrade.index;
+    });
+    return record;
+}
+
+// Index and stacks of every upgrade the player has
+function encodeChosenUpgrades(player) {
+    return listChosenUpgrades(player).map(upgrade => ({ index: upgrade.index, stacks: getUpgradeStacks(player, upgrade) }));
+}
+
+// Kind index and time left of every running power-up
+function encodePowerUps(powerUps) {
+    return Object.keys(powerUps).map(id => ({ kindIndex: getPickupKind(id).index, timeLeft: powerUps[id] }));
+}
+
+// Color the decoded pickups by kind, and replace the power-up entries with what drawLevelBar takes
+function decodePickups(message) {
+    message.pickups.forEach(pickup => {
+        pickup.isActive = true;
+        pickup.color = getPickupKindByIndex(pickup.kindIndex).color;
+    });
+    message.powerUps = message.powerUps.map(entry => describePowerUp(getPickupKindByIndex(entry.kindIndex), entry.timeLeft));
+}
+
+// Replace the decoded draft record and upgrade entries with what drawUpgradeDraft and drawUpgradePanel take
+function decodeUpgrades(message) {
+    const stacksByIndex = new Map();
+    message.upgrades = message.upgrades.map(entry => {
+        stacksByIndex.set(entry.index, entry.stacks);
+        return describeUpgrade(getUpgradeByIndex(entry.index), entry.stacks);
+    });
+
+    const { draft } = message;
+    message.draft = draft.isOpen ?
+        [draft.choice0, draft.choice1, draft.choice2]
+            .filter(index => index !== NO_CHOICE)
+            .map(index => describeUpgrade(getUpgradeByIndex(index), stacksByIndex.get(index) || 0)) :
+        null;
+}
+
+/**
+ * Serialize what the render worker needs to draw one frame
+ * @param {Object} gameState - Game state with player, monsters and bullets
+ * @param {number} alpha - Interpolation factor between the last two steps
+ * @param {BufferPool} pool - Optional pool to take the buffer from
+ * @returns {{buffer: ArrayBuffer, byteLength: number}} - Encoded frame
+ */
+export function serializeRenderFrame(gameState, alpha, pool = null) {
+    return renderFrameCodec.encode({
+        alpha: alpha,
+        isGameOver: gameState.isGameOver,
+        player: gameState.player,
+        boss: gameState.monsterSpawner.getActiveBoss() || NO_BOSS,
+        draft: encodeDraft(gameState.upgradeDraft),
+        target: encodeTarget(gameState.player.target),
+        monsters: gameState.monsters,
+        bullets: gameState.bullets,
+        pickups: gameState.pickups,
+        upgrades: encodeChosenUpgrades(gameState.player),
+        powerUps: encodePowerUps(gameState.powerUps)
+    }, ACTIVE_ENTITY_FILTERS, pool);
+}
+
+/**
+ * Deserialize a frame posted to the render worker
+ * @param {ArrayBuffer} buffer - Encoded frame
+ * @returns {Object} - Frame fields, player, monsters and bullets ready to draw
+ * @throws {ProtocolError} - If the buffer is malformed
+ */
+export function deserializeRenderFrame(buffer) {
+    const frame = renderFrameCodec.decode(buffer);
+
+    // Render-side defaults that are not worth sending - only active entities are in a frame
+    frame.player.color = frame.player.flashTime > 0 ? PLAYER_FLASH_COLOR : PLAYER_COLOR;
+    frame.boss = decodeBoss(frame.boss);
+    frame.target = frame.target.isActive ? frame.target : null;
+    decodeUpgrades(frame);
+    frame.monsters.forEach(monster => {
+        const type = getMonsterTypeByIndex(monster.typeIndex);
+        monster.isActive = true;
+        monster.color = type.color;
+        monster.isBoss = Boolean(type.boss);
+    });
+    frame.bullets.forEach(bullet => {
+        bullet.isActive = true;
+        bullet.color = BULLET_COLORS[bullet.colorIndex];
+    });
+    decodePickups(frame);
+
+    return frame;
+}
+
+/**
+ * Merge the results of every worker in a pool into one set of results
+ * Monster positions come from the worker that owns the monster, the hits of
+ * every worker are listed together, and the player is pushed by the sum of
+ * every worker's push
+ * @param {Array} partials - Deserialized results, one per worker that replied
+ * @param {{x: number, y: number}} sentPlayer - Player position the work was dispatched with
+ * @returns {Object|null} - Results in the same shape as a single worker's, or null if none replied
+ */
+export function mergeCollisionResults(partials, sentPlayer) {
+    if (partials.length <= 1) {
+        return partials.length === 1 ? partials[0] : null;
+    }
+
+    // The workers saw the player at float32 precision
+    const baseX = Math.fround(sentPlayer.x);
+    const baseY = Math.fround(sentPlayer.y);
+    const merged = { playerDamage: 0, player: { x: baseX, y: baseY }, monsters: [], bullets: [], hits: [], pickups: [] };
+
+    partials.forEach(partial => {
+        merged.playerDamage = Math.max(merged.playerDamage, partial.playerDamage);
+        merged.player.x += partial.player.x - baseX;
+        merged.player.y += partial.player.y - baseY;
+
+        // Ghosts are moved by their own strip's worker
+        const owned = Math.min(partial.ownedMonsterCount, partial.monsters.length);
+        for (let i = 0; i < owned; i++) {
+            merged.monsters.push(partial.monsters[i]);
+        }
+
+        // Hits name their monster, so a bullet in this strip hitting a neighbour's monster needs no special case
+        partial.hits.forEach(hit => merged.hits.push(hit));
+
+        // Each bullet lives in exactly one strip - a single-pass bullet sent to several reports the same spent state from each
+        partial.bullets.forEach(bullet => merged.bullets.push(bullet));
+
+        // Only the worker that was sent the pickups collects any
+        partial.pickups.forEach(pickup => merged.pickups.push(pickup));
+    });
+
+    return merged;
+}
+
+/**
+ * Apply collision results from the worker to the main-thread game state
+ * Results are matched to entities by ID. Entities that died or were removed
+ * while the worker was busy have no match, and their results are dropped.
+ * Hits are applied here one by one, so damage, scoring and kills go through
+ * Monster.takeDamage exactly as in the original version, and so do the drops
+ * of a kill and the collection of the pickups the player touched. A hit on a
+ * monster its bullet has already hit is skipped, so one the main thread made
+ * itself while a worker was being restarted is not applied twice
+ * @param {Object} gameState - Game state the results were computed for
+ * @param {Object} results - Deserialized results
+ * @returns {number} - Number of results dropped because their entity died in flight
+ */
+export function applyCollisionResults(gameState, results) {
+    const { player, monsters, bullets, hits, pickups, playerDamage } = results;
+    let droppedResults = 0;
+
+    // Only active entities are indexed, so results for ones that died in flight find no match
+    const monsterMap = indexEntitiesById(gameState.monsters, gameState.monsterMap || (gameState.monsterMap = new Map()));
+    const bulletMap = indexEntitiesById(gameState.bullets, gameState.bulletMap || (gameState.bulletMap = new Map()));
+
+    // Update player position if changed
+    if (player) {
+        gameState.player.x = player.x;
+        gameState.player.y = player.y;
+    }
+
+    // Update monster positions - dead ones stay where they died
+    if (monsters && monsters.length > 0) {
+        monsters.forEach(updatedMonster => {
+            const monster = monsterMap.get(updatedMonster.id);
+
+            // Died in flight - nothing to move
+            if (!monster) {
+                droppedResults++;
+                return;
+            }
+
+            // Only update position - minimize work in main thread
+            monster.x = updatedMonster.x;
+            monster.y = updatedMonster.y;
+        });
+    }
+
+    // Apply the hits in the order they were made, as handleCollisions does
+    if (hits && hits.length > 0) {
+        hits.forEach(hit => {
+            const monster = monsterMap.get(hit.monsterId);
+
+            // Died in flight, or earlier in this batch
+            if (!monster || !monster.isActive) {
+                droppedResults++;
+                return;
+            }
+
+            // An expired bullet has no set left to check
+            const bullet = bulletMap.get(hit.bulletId);
+            if (bullet) {
+                if (hit.leg !== bullet.leg) {
+                    droppedResults++;
+                    return;
+                }
+                if (bullet.hitMonsterIds.has(hit.monsterId)) return;
+                bullet.hitMonsterIds.add(hit.monsterId);
+            }
+
+            // Only player bullets score - friendly fire still hurts
+            const killed = monster.takeDamage(hit.damage);
+            if (hit.isPlayerBullet) {
+                gameState.player.addScore(BULLET_HIT_SCORE);
+                if (killed) {
+                    gameState.player.addScore(monster.killScore);
+                    gameState.kills++;
+                    dropPickups(gameState, monster);
+                }
+            }
+        });
+    }
+
+    // Update bullet states - use minimal processing
+    if (bullets && bullets.length > 0) {
+        bullets.forEach(updatedBullet => {
+            const bullet = bulletMap.get(updatedBullet.id);
+
+            // Expired or already removed in flight - the result no longer applies
+            if (!bullet) {
+                droppedResults++;
+                return;
+            }
+
+            bullet.isActive = updatedBullet.isActive;
+            // Never lower the count - hits the main thread made itself while a worker was restarting still count
+            bullet.currentPierceCount = Math.max(bullet.currentPierceCount, updatedBullet.currentPierceCount);
+        });
+    }
+
+    // Collect the pickups the player touched - ones collected or expired in flight are gone from the index
+    if (pickups && pickups.length > 0 && gameState.player.isActive) {
+        const pickupMap = indexEntitiesById(gameState.pickups, gameState.pickupMap || (gameState.pickupMap = new Map()));
+
+        pickups.forEach(touchedPickup => {
+            const pickup = pickupMap.get(touchedPickup.id);
+            if (!pickup) {
+                droppedResults++;
+                return;
+            }
+            collectPickup(gameState, pickup);
+        });
+    }
+
+    // Hits on the player go through the same invulnerability window as in the original version
+    if (playerDamage > 0) {
+        gameState.player.takeDamage(playerDamage);
+    }
+
+    return droppedResults;
+}
+
+// Map active entities by ID, reusing the map between calls
+function indexEntitiesById(entities, map) {
+    map.clear();
+    entities.forEach(entity => {
+        if (entity.isActive) {
+            map.set(entity.id, entity);
+        }
+    });
+    return map;
+}